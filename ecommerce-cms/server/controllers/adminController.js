@@ -2,6 +2,14 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Order = require('../models/Order');
+const mongoose = require('mongoose');
+const { httpError, sendHttpError } = require('../utils/httpError');
+const { restockItems } = require('../services/inventory');
+const { revokeAllSessions } = require('../services/tokens');
+const { clearFailedLogins } = require('../services/lockout');
+const { ROLES, ROLE_NAMES } = require('../utils/roles');
+const { snapshot, recordAudit } = require('../services/audit');
+const { getPagination, paginate } = require('../utils/pagination');
 
 // Get dashboard statistics
 exports.getDashboardStats = async (req, res) => {
@@ -26,6 +34,7 @@ exports.getDashboardStats = async (req, res) => {
       {
         $group: {
           _id: '$items.product',
+          orderedName: { $last: '$items.name' },
           totalQuantity: { $sum: '$items.quantity' },
           totalRevenue: { $sum: '$items.total' }
         }
@@ -40,10 +49,11 @@ exports.getDashboardStats = async (req, res) => {
           as: 'product'
         }
       },
-      { $unwind: '$product' },
+      // Purged products fall back to the name stored on the order
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
       {
         $project: {
-          name: '$product.name',
+          name: { $ifNull: ['$product.name', '$orderedName'] },
           price: '$product.price',
           totalQuantity: 1,
           totalRevenue: 1
@@ -57,7 +67,7 @@ exports.getDashboardStats = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: '$total' },
+          totalRevenue: { $sum: { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] } },
           averageOrder: { $avg: '$total' }
         }
       }
@@ -79,7 +89,7 @@ exports.getDashboardStats = async (req, res) => {
             year: { $year: '$createdAt' },
             month: { $month: '$createdAt' }
           },
-          totalRevenue: { $sum: '$total' },
+          totalRevenue: { $sum: { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] } },
           orderCount: { $sum: 1 }
         }
       },
@@ -115,7 +125,7 @@ exports.getDashboardStats = async (req, res) => {
 // Get all users for admin management
 exports.getAllUsers = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, isAdmin } = req.query;
+    const { search, role, isAdmin } = req.query;
 
     let query = {};
     
@@ -126,28 +136,30 @@ exports.getAllUsers = async (req, res) => {
       ];
     }
     
-    if (isAdmin !== undefined) {
-      query.isAdmin = isAdmin === 'true';
+    if (role) {
+      query.roles = { $in: role.split(',') };
+    } else if (isAdmin !== undefined) {
+      query.roles = isAdmin === 'true' ? 'owner' : { $ne: 'owner' };
     }
 
-    const users = await User.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await User.countDocuments(query);
+    const { data: users, pagination } = await paginate(
+      User.find(query),
+      getPagination(req.query),
+      { createdAt: -1 }
+    );
 
     res.json({
       success: true,
       data: users,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get users error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
     res.status(500).json({
       success: false,
       msg: 'Error fetching users',
@@ -156,10 +168,18 @@ exports.getAllUsers = async (req, res) => {
   }
 };
 
-// Update user role
+// List the available roles and their permissions
+exports.getRoles = async (req, res) => {
+  res.json({
+    success: true,
+    data: ROLE_NAMES.map(name => ({ name, ...ROLES[name] }))
+  });
+};
+
+// Update user roles and account status
 exports.updateUserRole = async (req, res) => {
   try {
-    const { isAdmin, accountStatus } = req.body;
+    const { roles, isAdmin, accountStatus } = req.body;
 
     const user = await User.findById(req.params.id);
 
@@ -171,18 +191,57 @@ exports.updateUserRole = async (req, res) => {
     }
 
     // Prevent admin from changing their own role
-    if (user._id.toString() === req.user.id) {
+    if (user._id.toString() === req.user.id.toString()) {
       return res.status(400).json({
         success: false,
         msg: 'Cannot modify your own role'
       });
     }
 
-    if (isAdmin !== undefined) user.isAdmin = isAdmin;
+    const before = snapshot(user);
+
+    // isAdmin is still accepted from older clients and maps to the owner role
+    let nextRoles = roles;
+    if (nextRoles === undefined && isAdmin !== undefined) {
+      const withoutOwner = user.roles.filter(role => role !== 'owner');
+      nextRoles = isAdmin === true || isAdmin === 'true' ? withoutOwner.concat('owner') : withoutOwner;
+      if (nextRoles.length === 0) nextRoles = ['customer'];
+    }
+
+    if (nextRoles !== undefined) {
+      if (!Array.isArray(nextRoles) || nextRoles.length === 0 || nextRoles.some(role => !ROLE_NAMES.includes(role))) {
+        return res.status(400).json({
+          success: false,
+          msg: 'Invalid roles',
+          errors: { roles: `Roles must be a non-empty list of: ${ROLE_NAMES.join(', ')}` }
+        });
+      }
+
+      // Only owners may grant or take away the owner role
+      const ownerChanged = nextRoles.includes('owner') !== user.roles.includes('owner');
+      if (ownerChanged && !req.user.roles.includes('owner')) {
+        return res.status(403).json({
+          success: false,
+          msg: 'Only owners can change the owner role'
+        });
+      }
+
+      user.roles = [...new Set(nextRoles)];
+    }
+
     if (accountStatus !== undefined) user.accountStatus = accountStatus;
 
+    const suspended = user.isModified('accountStatus') && user.accountStatus === 'suspended';
+
     await user.save();
 
+    // A suspended user is signed out of every session right away
+    if (suspended) {
+      await revokeAllSessions(user._id, 'suspended');
+    }
+
+    await recordAudit(req, { action: 'user.update', entityType: 'user', entityId: user._id, before, after: user });
+
     res.json({
       success: true,
       msg: 'User updated successfully',
@@ -190,6 +249,20 @@ exports.updateUserRole = async (req, res) => {
     });
   } catch (error) {
     console.error('Update user error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = {};
+      Object.keys(error.errors).forEach(key => {
+        errors[key] = error.errors[key].message;
+      });
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors
+      });
+    }
+
     res.status(500).json({
       success: false,
       msg: 'Error updating user',
@@ -197,3 +270,262 @@ exports.updateUserRole = async (req, res) => {
     });
   }
 };
+
+// Clear a user's failed login attempts and lift any lockout
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        msg: 'User not found'
+      });
+    }
+
+    await clearFailedLogins(user._id);
+    const updated = await User.findById(user._id);
+    await recordAudit(req, { action: 'user.unlock', entityType: 'user', entityId: user._id, before: user, after: updated });
+
+    res.json({
+      success: true,
+      msg: 'User unlocked successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error unlocking user',
+      error: error.message
+    });
+  }
+};
+
+// Turn off 2FA for a user who lost their authenticator and recovery codes.
+// Signs them out everywhere; staff must enrol again at their next login.
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        msg: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Cannot reset your own two-factor authentication'
+      });
+    }
+
+    if (user.roles.includes('owner') && !req.user.roles.includes('owner')) {
+      return res.status(403).json({
+        success: false,
+        msg: 'Only owners can reset two-factor authentication for an owner'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.recoveryCodes': '',
+        'twoFactor.lastUsedStep': ''
+      }
+    });
+    await revokeAllSessions(user._id, '2fa_reset');
+    const updated = await User.findById(user._id);
+    await recordAudit(req, { action: 'user.2fa_reset', entityType: 'user', entityId: user._id, before: user, after: updated });
+
+    res.json({
+      success: true,
+      msg: 'Two-factor authentication reset successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error resetting two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Get all orders with filters
+exports.getAllOrders = async (req, res) => {
+  try {
+    const {
+      orderStatus,
+      paymentStatus,
+      paymentMethod,
+      user,
+      search,
+      from,
+      to
+    } = req.query;
+
+    let query = {};
+
+    if (orderStatus) query.orderStatus = { $in: orderStatus.split(',') };
+    if (paymentStatus) query.paymentStatus = { $in: paymentStatus.split(',') };
+    if (paymentMethod) query.paymentMethod = paymentMethod;
+    if (user) query.user = user;
+
+    if (search) {
+      query.orderNumber = { $regex: search, $options: 'i' };
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const { data: orders, pagination } = await paginate(
+      Order.find(query)
+        .populate('user', 'name email'),
+      getPagination(req.query),
+      { createdAt: -1 }
+    );
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching orders',
+      error: error.message
+    });
+  }
+};
+
+// Get single order with its status history
+exports.getOrderDetails = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate({ path: 'items.product', select: 'name price stock deletedAt', options: { withDeleted: true } })
+      .populate('statusHistory.changedBy', 'name email');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching order',
+      error: error.message
+    });
+  }
+};
+
+// Move an order (and/or its payment) to a new status
+exports.updateOrderStatus = async (req, res) => {
+  const { orderStatus, paymentStatus, note } = req.body || {};
+
+  if (!orderStatus && !paymentStatus) {
+    return res.status(400).json({
+      success: false,
+      msg: 'orderStatus or paymentStatus is required'
+    });
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let order;
+    let before;
+
+    await session.withTransaction(async () => {
+      order = await Order.findById(req.params.id).session(session);
+
+      if (!order) {
+        throw httpError(404, 'Order not found');
+      }
+
+      before = snapshot(order);
+
+      const changes = { orderStatus, paymentStatus };
+      Object.keys(changes).forEach(field => {
+        const to = changes[field];
+        if (to && to !== order[field] && !order.transitionStatus(field, to, req.user.id, note)) {
+          throw httpError(400, 'Invalid status transition', {
+            [field]: `Cannot change ${field} from ${order[field]} to ${to}`
+          });
+        }
+      });
+
+      // Put stock back when an order is cancelled
+      if (order.isModified('orderStatus') && order.orderStatus === 'cancelled') {
+        await restockItems(order.items, {
+          type: 'cancellation',
+          reason: `Order ${order.orderNumber} cancelled`,
+          user: req.user.id,
+          order: order._id,
+          session
+        });
+      }
+
+      await order.save({ session });
+    });
+
+    await recordAudit(req, { action: 'order.status', entityType: 'order', entityId: order._id, before, after: order, note });
+
+    res.json({
+      success: true,
+      msg: 'Order status updated successfully',
+      data: order
+    });
+  } catch (error) {
+    console.error('Update order status error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = {};
+      Object.keys(error.errors).forEach(key => {
+        errors[key] = error.errors[key].message;
+      });
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error updating order status',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
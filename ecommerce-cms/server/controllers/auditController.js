@@ -0,0 +1,72 @@
+const AuditLog = require('../models/AuditLog');
+const { httpError, sendHttpError } = require('../utils/httpError');
+const { getPagination, paginate } = require('../utils/pagination');
+const { isObjectId } = require('../utils/values');
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, 'Invalid date', { [field]: `${field} must be a valid date` });
+  }
+  return date;
+};
+
+// Get audit log entries, newest first. Filter by actor (user id or email),
+// entity type and id, action and a date range.
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { actor, entityType, entityId, action, from, to } = req.query;
+
+    let query = {};
+
+    if (actor) {
+      if (isObjectId(actor)) {
+        query.actor = actor;
+      } else {
+        query.actorEmail = String(actor).toLowerCase();
+      }
+    }
+
+    if (entityType) query.entityType = { $in: entityType.split(',') };
+
+    if (entityId) {
+      if (!isObjectId(entityId)) {
+        throw httpError(400, 'Invalid entity id', { entityId: 'entityId must be a valid id' });
+      }
+      query.entityId = entityId;
+    }
+
+    if (action) query.action = { $in: action.split(',') };
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = parseDate(from, 'from');
+      if (to) query.createdAt.$lte = parseDate(to, 'to');
+    }
+
+    const { data: entries, pagination } = await paginate(
+      AuditLog.find(query)
+        .populate('actor', 'name email'),
+      getPagination(req.query, { defaultLimit: 20 }),
+      { createdAt: -1 }
+    );
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching audit log',
+      error: error.message
+    });
+  }
+};
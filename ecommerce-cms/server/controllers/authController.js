@@ -1,6 +1,18 @@
 const User = require('../models/User');
+const Cart = require('../models/Cart');
+const LoginFailure = require('../models/LoginFailure');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { issueTokens, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../services/tokens');
+const { getLockState, recordFailedLogin, clearFailedLogins } = require('../services/lockout');
+const { TOKEN_TTL_MS, createAccountToken, consumeAccountToken } = require('../services/accountTokens');
+const { sendMail } = require('../services/mail');
+const {
+  CHALLENGE_TTL,
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor
+} = require('../services/twoFactor');
 
 // Input validation helper
 const validateEmail = (email) => {
@@ -18,48 +30,83 @@ const validateName = (name) => {
   return name && name.trim().length >= 2 && name.trim().length <= 50;
 };
 
-// Rate limiting storage (in production, use Redis or database)
-const loginAttempts = new Map();
-const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
-const MAX_LOGIN_ATTEMPTS = 5;
-
-// Check rate limiting
-const checkRateLimit = (identifier) => {
-  const now = Date.now();
-  const attempts = loginAttempts.get(identifier) || { count: 0, firstAttempt: now };
-  
-  // Reset if window expired
-  if (now - attempts.firstAttempt > RATE_LIMIT_WINDOW) {
-    loginAttempts.set(identifier, { count: 1, firstAttempt: now });
-    return true;
-  }
-  
-  // Check if exceeded limit
-  if (attempts.count >= MAX_LOGIN_ATTEMPTS) {
+// Compared against when the email is unknown, so both cases take as long
+const dummyPasswordHash = bcrypt.hash('not-a-real-password', 12);
+
+// Same response for locked accounts whether or not the email exists
+const sendLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ 
+    success: false,
+    msg: 'Too many login attempts',
+    retryAfter,
+    errors: { 
+      general: `Too many failed login attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).` 
+    }
+  });
+};
+
+// Link into the frontend, e.g. /verify-email?token=...
+const frontendLink = (pathname, token) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return token ? `${base}${pathname}?token=${encodeURIComponent(token)}` : `${base}${pathname}`;
+};
+
+// Email a verification link; returns false if one was sent too recently
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user._id, 'email_verification');
+  if (!token) {
     return false;
   }
-  
-  // Increment attempts
-  attempts.count++;
-  loginAttempts.set(identifier, attempts);
+
+  await sendMail(user.email, 'verifyEmail', {
+    name: user.name,
+    url: frontendLink('/verify-email', token),
+    expiresInHours: TOKEN_TTL_MS.email_verification / (60 * 60 * 1000)
+  });
   return true;
 };
 
-// Generate secure JWT token
-const generateToken = (userId, isAdmin) => {
-  return jwt.sign(
-    { 
-      id: userId, 
-      isAdmin: isAdmin,
-      iat: Math.floor(Date.now() / 1000)
-    }, 
-    process.env.JWT_SECRET, 
-    { 
-      expiresIn: '24h',
-      issuer: 'ecommerce-cms',
-      audience: 'ecommerce-users'
-    }
-  );
+// Client details stored with each session
+const getClientInfo = (req) => ({
+  ip: req.ip || req.connection.remoteAddress,
+  userAgent: req.header('User-Agent')
+});
+
+// Finish a login once every factor has been checked: merge the guest cart
+// and start a new session
+const completeLogin = async (req, res, user) => {
+  // A failed merge must not block login
+  const cartToken = req.header('X-Cart-Token') || req.body.cartToken;
+  if (cartToken) {
+    try {
+      await Cart.mergeGuestCart(cartToken, user._id);
+    } catch (mergeError) {
+      console.error('Cart merge error:', mergeError);
+    }
+  }
+
+  const { token, refreshToken, expiresIn } = await issueTokens(user, getClientInfo(req));
+  const twoFactorEnabled = !!(user.twoFactor && user.twoFactor.enabled);
+
+  res.status(200).json({ 
+    success: true,
+    msg: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn,
+    // Staff without 2FA can sign in, but only to enrol
+    twoFactorSetupRequired: isTwoFactorRequired(user) && !twoFactorEnabled,
+    user: { 
+      id: user._id, 
+      name: user.name, 
+      email: user.email, 
+      isAdmin: user.isAdmin,
+      roles: user.roles,
+      permissions: user.permissions,
+      twoFactorEnabled
+    }
+  });
 };
 
 exports.register = async (req, res) => {
@@ -130,23 +177,28 @@ exports.register = async (req, res) => {
       name: name.trim(), 
       email: email.toLowerCase().trim(), 
       password: hashedPassword,
-      isAdmin: false // Default to false for security
+      roles: ['customer'], // Default to no staff access for security
+      accountStatus: 'pending' // Activated by verifying the email address
     });
 
     await user.save();
 
-    // Generate token for immediate login
-    const token = generateToken(user._id, user.isAdmin);
+    // A failed email must not fail the registration; the user can ask for a new one
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     res.status(201).json({ 
       success: true,
-      msg: 'User created successfully',
-      token,
+      msg: 'User created successfully. Please check your email to verify your account.',
       user: { 
         id: user._id, 
         name: user.name, 
         email: user.email, 
-        isAdmin: user.isAdmin 
+        roles: user.roles,
+        accountStatus: user.accountStatus
       }
     });
 
@@ -195,64 +247,319 @@ exports.login = async (req, res) => {
       });
     }
 
-    const clientIP = req.ip || req.connection.remoteAddress;
-    const identifier = `${email.toLowerCase()}-${clientIP}`;
-
-    // Check rate limiting
-    if (!checkRateLimit(identifier)) {
-      return res.status(429).json({ 
-        success: false,
-        msg: 'Too many login attempts',
-        errors: { 
-          general: `Too many failed login attempts. Please try again after ${RATE_LIMIT_WINDOW / 60000} minutes.` 
-        }
-      });
-    }
+    const normalizedEmail = email.toLowerCase().trim();
 
     // Find user
     const user = await User.findOne({ 
-      email: email.toLowerCase().trim() 
+      email: normalizedEmail 
     }).select('+password');
 
-    if (!user) {
+    // Locked accounts are rejected before the password is checked
+    const lock = getLockState(user || await LoginFailure.findOne({ email: normalizedEmail }));
+    if (lock.locked) {
+      return sendLocked(res, lock.retryAfter);
+    }
+
+    // Verify password
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password : await dummyPasswordHash);
+    
+    if (!user || !isPasswordValid) {
+      const failure = await recordFailedLogin(normalizedEmail, user);
+
+      if (failure.locked) {
+        return sendLocked(res, failure.retryAfter);
+      }
+
       return res.status(401).json({ 
         success: false,
         msg: 'Invalid credentials',
+        attemptsRemaining: failure.attemptsRemaining,
         errors: { general: 'Invalid email or password' }
       });
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    
-    if (!isPasswordValid) {
+    // Clear failed attempts on successful login. With 2FA on, they are only
+    // cleared once the code is right too, so the code cannot be brute forced.
+    const twoFactorEnabled = user.twoFactor && user.twoFactor.enabled;
+    if (!twoFactorEnabled) {
+      await clearFailedLogins(user._id, { lastLogin: new Date() });
+    }
+
+    // Only reported once the password is known to be right
+    if (user.accountStatus === 'pending') {
+      return res.status(403).json({ 
+        success: false,
+        msg: 'Email not verified',
+        errors: { general: 'Please verify your email address before logging in' }
+      });
+    }
+
+    if (user.accountStatus !== 'active') {
+      return res.status(403).json({ 
+        success: false,
+        msg: 'Account is not active',
+        errors: { general: 'Your account has been suspended' }
+      });
+    }
+
+    // Second step: the client sends the challenge token with a code to /2fa/verify
+    if (twoFactorEnabled) {
+      return res.status(200).json({ 
+        success: true,
+        msg: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user),
+        expiresIn: CHALLENGE_TTL
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      success: false,
+      msg: 'Internal server error',
+      errors: { general: 'Something went wrong. Please try again later.' }
+    });
+  }
+};
+
+// Second login step: check a TOTP or recovery code against the challenge
+// token from login. Wrong codes count towards the account lockout.
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ 
+        success: false,
+        msg: 'Challenge token and code are required',
+        errors: {
+          challengeToken: !challengeToken ? 'Challenge token is required' : null,
+          code: !code && !recoveryCode ? 'Enter a code from your authenticator app or a recovery code' : null
+        }
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user || !user.twoFactor.enabled || user.accountStatus !== 'active') {
       return res.status(401).json({ 
         success: false,
-        msg: 'Invalid credentials',
-        errors: { general: 'Invalid email or password' }
+        msg: 'Invalid or expired challenge',
+        errors: { general: 'Please log in again' }
+      });
+    }
+
+    const lock = getLockState(user);
+    if (lock.locked) {
+      return sendLocked(res, lock.retryAfter);
+    }
+
+    const secrets = await User.findById(user._id).select('+twoFactor.secret +twoFactor.recoveryCodes');
+    if (!(await verifySecondFactor(secrets, { code, recoveryCode }))) {
+      const failure = await recordFailedLogin(user.email, user);
+
+      if (failure.locked) {
+        return sendLocked(res, failure.retryAfter);
+      }
+
+      return res.status(401).json({ 
+        success: false,
+        msg: 'Invalid code',
+        attemptsRemaining: failure.attemptsRemaining,
+        errors: { code: 'The code is invalid or has already been used' }
       });
     }
 
-    // Clear rate limiting on successful login
-    loginAttempts.delete(identifier);
+    await clearFailedLogins(user._id, { lastLogin: new Date() });
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ 
+      success: false,
+      msg: 'Internal server error',
+      errors: { general: 'Something went wrong. Please try again later.' }
+    });
+  }
+};
+
+// Activate an account from the link in the verification email
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    const userId = token ? await consumeAccountToken(token, 'email_verification') : null;
 
-    // Generate token
-    const token = generateToken(user._id, user.isAdmin);
+    if (!userId) {
+      return res.status(400).json({ 
+        success: false,
+        msg: 'Invalid or expired verification link',
+        errors: { token: 'Please request a new verification email' }
+      });
+    }
+
+    // Suspended accounts stay suspended
+    await User.updateOne(
+      { _id: userId, accountStatus: 'pending' },
+      { $set: { accountStatus: 'active' } }
+    );
+    await User.updateOne({ _id: userId }, { $set: { emailVerifiedAt: new Date() } });
 
     res.status(200).json({ 
       success: true,
-      msg: 'Login successful',
-      token,
-      user: { 
-        id: user._id, 
-        name: user.name, 
-        email: user.email, 
-        isAdmin: user.isAdmin 
+      msg: 'Email verified successfully. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      success: false,
+      msg: 'Internal server error',
+      errors: { general: 'Something went wrong. Please try again later.' }
+    });
+  }
+};
+
+// Send a new verification email; the response never reveals whether the
+// email belongs to an account
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ 
+        success: false,
+        msg: 'Invalid email format',
+        errors: { email: 'Please provide a valid email address' }
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user && user.accountStatus === 'pending') {
+      await sendVerificationEmail(user).catch(mailError => console.error('Verification email error:', mailError));
+    }
+
+    res.status(200).json({ 
+      success: true,
+      msg: 'If the account exists and is not verified yet, a verification email has been sent.'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      success: false,
+      msg: 'Internal server error',
+      errors: { general: 'Something went wrong. Please try again later.' }
+    });
+  }
+};
+
+// Email a password reset link; the response never reveals whether the
+// email belongs to an account
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ 
+        success: false,
+        msg: 'Invalid email format',
+        errors: { email: 'Please provide a valid email address' }
+      });
+    }
+
+    // Mail errors are only logged so they cannot reveal that the account exists
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user && user.accountStatus !== 'suspended') {
+      const token = await createAccountToken(user._id, 'password_reset');
+
+      if (token) {
+        await sendMail(user.email, 'passwordReset', {
+          name: user.name,
+          url: frontendLink('/reset-password', token),
+          expiresInMinutes: TOKEN_TTL_MS.password_reset / (60 * 1000)
+        }).catch(mailError => console.error('Password reset email error:', mailError));
       }
+    }
+
+    res.status(200).json({ 
+      success: true,
+      msg: 'If an account exists for this email, a password reset link has been sent.'
     });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false,
+      msg: 'Internal server error',
+      errors: { general: 'Something went wrong. Please try again later.' }
+    });
+  }
+};
+
+// Set a new password from a reset link; signs out every session
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || !password) {
+      return res.status(400).json({ 
+        success: false,
+        msg: 'Token and password are required',
+        errors: {
+          token: !token ? 'Token is required' : null,
+          password: !password ? 'Password is required' : null
+        }
+      });
+    }
+
+    // Check the password before using up the token
+    if (!validatePassword(password)) {
+      return res.status(400).json({ 
+        success: false,
+        msg: 'Password does not meet security requirements',
+        errors: { 
+          password: 'Password must be at least 8 characters with uppercase, lowercase, number, and special character' 
+        }
+      });
+    }
 
+    const userId = await consumeAccountToken(token, 'password_reset');
+    const user = userId && await User.findById(userId);
+
+    if (!user || user.accountStatus === 'suspended') {
+      return res.status(400).json({ 
+        success: false,
+        msg: 'Invalid or expired reset link',
+        errors: { token: 'Please request a new password reset email' }
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    // The reset link proves the user owns the email, so it also verifies it
+    const update = { password: hashedPassword };
+    if (user.accountStatus === 'pending') {
+      update.accountStatus = 'active';
+      update.emailVerifiedAt = new Date();
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: update });
+    await clearFailedLogins(user._id);
+    await revokeAllSessions(user._id, 'logout_all');
+
+    try {
+      await sendMail(user.email, 'passwordChanged', { name: user.name, url: frontendLink('/login') });
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.status(200).json({ 
+      success: true,
+      msg: 'Password reset successfully. Please log in with your new password.'
+    });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Reset password error:', error);
     res.status(500).json({ 
       success: false,
       msg: 'Internal server error',
@@ -261,11 +568,51 @@ exports.login = async (req, res) => {
   }
 };
 
-// Additional security endpoint - logout (optional, for token blacklisting)
+// Exchange a refresh token for a new access token and refresh token
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false,
+        msg: 'Refresh token is required',
+        errors: { refreshToken: 'Refresh token is required' }
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, getClientInfo(req));
+
+    if (!result) {
+      return res.status(401).json({ 
+        success: false,
+        msg: 'Invalid refresh token',
+        errors: { auth: 'Your session has ended. Please log in again.' }
+      });
+    }
+
+    res.status(200).json({ 
+      success: true,
+      msg: 'Token refreshed successfully',
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false,
+      msg: 'Internal server error',
+      errors: { general: 'Something went wrong. Please try again later.' }
+    });
+  }
+};
+
+// Log out of the current session; its access and refresh tokens stop working
 exports.logout = async (req, res) => {
   try {
-    // In a production app, you'd want to blacklist the token
-    // For now, just return success (client should remove token)
+    await revokeSession(req.user.sessionId, 'logout');
+
     res.status(200).json({ 
       success: true,
       msg: 'Logged out successfully'
@@ -278,3 +625,22 @@ exports.logout = async (req, res) => {
     });
   }
 };
+
+// Log out of every session of the current user
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+
+    res.status(200).json({ 
+      success: true,
+      msg: 'Logged out of all sessions',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false,
+      msg: 'Internal server error'
+    });
+  }
+};
@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const { reserveStock, releaseReservation } = require('../services/inventory');
+const { httpError, sendHttpError } = require('../utils/httpError');
+const { roundPrice } = require('../utils/values');
+
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+
+// Helper to read the guest cart token from the request
+const getCartToken = (req) => req.header(CART_TOKEN_HEADER) || (req.body && req.body.cartToken) || null;
+
+// Helper to find the cart for the current user or guest token
+const findCart = async (req) => {
+  if (req.user) {
+    return Cart.findOne({ user: req.user.id });
+  }
+
+  const token = getCartToken(req);
+  return token ? Cart.findOne({ token, user: { $exists: false } }) : null;
+};
+
+// Helper to find or create the cart for the current user or guest
+const findOrCreateCart = async (req) => {
+  const cart = await findCart(req);
+
+  if (cart) {
+    return cart;
+  }
+
+  if (req.user) {
+    return new Cart({ user: req.user.id, items: [] });
+  }
+
+  return new Cart({ token: crypto.randomBytes(24).toString('hex'), items: [] });
+};
+
+// Helper to check a requested quantity against the product or chosen variant
+const checkAvailability = (product, variantId, quantity) => {
+  if (!product || !product.isVisible()) {
+    return 'Product not found or inactive';
+  }
+
+  const variant = product.getVariant(variantId);
+  if (product.variants.length > 0 && !variantId) {
+    return 'Please choose a variant';
+  }
+  if (variantId && (!variant || !variant.isActive)) {
+    return 'Variant not found or inactive';
+  }
+
+  // Units held by checkout reservations cannot be added
+  const available = product.availableFor(variant);
+  if (quantity > available) {
+    return `Only ${Math.max(available, 0)} left in stock`;
+  }
+  return null;
+};
+
+// Helper to read the variant a cart line refers to
+const getVariantParam = (req) => req.query.variant || (req.body && req.body.variant) || null;
+
+// Helper to validate a quantity from the request body
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+};
+
+// Helper to build the cart response with current prices and stock
+const formatCart = async (cart) => {
+  if (!cart) {
+    return { token: null, items: [], itemCount: 0, subtotal: 0 };
+  }
+
+  await cart.populate('items.product', 'name price stock images isActive status variants');
+
+  const items = cart.items
+    .filter(item => item.product)
+    .map(item => {
+      const product = item.product;
+      const variant = product.getVariant(item.variant);
+      const price = product.priceFor(variant);
+
+      return {
+        product: {
+          _id: product._id,
+          name: product.name,
+          price: product.price,
+          stock: product.stock,
+          images: product.images,
+          isActive: product.isVisible()
+        },
+        variant: variant ? {
+          _id: variant._id,
+          sku: variant.sku,
+          attributes: variant.attributes,
+          price: variant.price,
+          stock: variant.stock
+        } : null,
+        quantity: item.quantity,
+        price,
+        total: roundPrice(price * item.quantity),
+        issue: checkAvailability(product, item.variant, item.quantity)
+      };
+    });
+
+  return {
+    token: cart.user ? null : cart.token,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundPrice(items.reduce((sum, item) => sum + item.total, 0))
+  };
+};
+
+// Get current cart
+exports.getCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+
+    res.json({
+      success: true,
+      data: await formatCart(cart)
+    });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching cart',
+      error: error.message
+    });
+  }
+};
+
+// Add item to cart
+exports.addItem = async (req, res) => {
+  try {
+    const { product: productId, variant: variantId } = req.body || {};
+    const quantity = parseQuantity((req.body || {}).quantity || 1);
+
+    const invalidProduct = !productId || !mongoose.Types.ObjectId.isValid(productId);
+    const invalidVariant = variantId && !mongoose.Types.ObjectId.isValid(variantId);
+
+    if (invalidProduct || invalidVariant || !quantity) {
+      return res.status(400).json({
+        success: false,
+        msg: 'A valid product and quantity are required',
+        errors: {
+          product: invalidProduct ? 'A valid product id is required' : null,
+          variant: invalidVariant ? 'A valid variant id is required' : null,
+          quantity: !quantity ? 'Quantity must be a positive integer' : null
+        }
+      });
+    }
+
+    const cart = await findOrCreateCart(req);
+    const product = await Product.findById(productId);
+    const line = cart.findItem(productId, variantId);
+    const issue = checkAvailability(product, variantId, (line ? line.quantity : 0) + quantity);
+
+    if (issue) {
+      return res.status(!product || !product.isVisible() ? 404 : 409).json({
+        success: false,
+        msg: 'Product cannot be added to cart',
+        errors: { product: issue }
+      });
+    }
+
+    cart.addItem(product._id, variantId, quantity);
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      msg: 'Item added to cart',
+      data: await formatCart(cart)
+    });
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error adding item to cart',
+      error: error.message
+    });
+  }
+};
+
+// Update quantity of a cart line
+exports.updateItem = async (req, res) => {
+  try {
+    const quantity = parseQuantity((req.body || {}).quantity);
+
+    if (!quantity) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Quantity must be a positive integer'
+      });
+    }
+
+    const variantId = getVariantParam(req);
+    const cart = await findCart(req);
+    const line = cart && cart.findItem(req.params.productId, variantId);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Item not found in cart'
+      });
+    }
+
+    const product = await Product.findById(req.params.productId);
+    const issue = checkAvailability(product, variantId, quantity);
+
+    if (issue) {
+      return res.status(!product || !product.isVisible() ? 404 : 409).json({
+        success: false,
+        msg: 'Quantity cannot be updated',
+        errors: { quantity: issue }
+      });
+    }
+
+    line.quantity = quantity;
+    await cart.save();
+
+    res.json({
+      success: true,
+      msg: 'Cart updated successfully',
+      data: await formatCart(cart)
+    });
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error updating cart',
+      error: error.message
+    });
+  }
+};
+
+// Remove a line from the cart
+exports.removeItem = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const line = cart && cart.findItem(req.params.productId, getVariantParam(req));
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Item not found in cart'
+      });
+    }
+
+    cart.items.pull(line._id);
+    await cart.save();
+
+    res.json({
+      success: true,
+      msg: 'Item removed from cart',
+      data: await formatCart(cart)
+    });
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error removing item from cart',
+      error: error.message
+    });
+  }
+};
+
+// Empty the cart
+exports.clearCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.json({
+      success: true,
+      msg: 'Cart cleared successfully',
+      data: await formatCart(cart)
+    });
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error clearing cart',
+      error: error.message
+    });
+  }
+};
+
+// Hold stock for every cart line while the user checks out
+exports.reserveCart = async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      msg: 'Please log in to check out'
+    });
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let reservations = [];
+
+    await session.withTransaction(async () => {
+      const cart = await Cart.findOne({ user: req.user.id }).session(session);
+
+      if (!cart || cart.items.length === 0) {
+        throw httpError(400, 'Cart is empty');
+      }
+
+      // Replace any reservations from an earlier checkout attempt
+      const previous = await StockReservation.find({ user: req.user.id, status: 'active' }).session(session);
+      for (const reservation of previous) {
+        await releaseReservation(reservation, { reason: 'Replaced by new checkout', session });
+      }
+
+      reservations = [];
+      const errors = {};
+
+      for (const item of cart.items) {
+        // Trashed, draft or hidden products cannot be held for checkout
+        const product = await Product.findById(item.product).session(session);
+        const variant = product && product.getVariant(item.variant);
+        if (!product || !product.isVisible() || (item.variant && (!variant || !variant.isActive))) {
+          errors[(item.variant || item.product).toString()] = 'Product not found or inactive';
+          continue;
+        }
+
+        const reservation = await reserveStock(item.product, item.quantity, {
+          variant: item.variant,
+          user: req.user.id,
+          session
+        });
+
+        if (reservation) {
+          reservations.push(reservation);
+        } else {
+          errors[(item.variant || item.product).toString()] = 'Not enough stock available';
+        }
+      }
+
+      if (Object.keys(errors).length > 0) {
+        throw httpError(409, 'Some items are no longer available', errors);
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      msg: 'Stock reserved for checkout',
+      data: {
+        reservations,
+        expiresAt: reservations.length > 0 ? reservations[0].expiresAt : null
+      }
+    });
+  } catch (error) {
+    console.error('Reserve cart error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error reserving stock',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
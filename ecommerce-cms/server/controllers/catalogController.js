@@ -0,0 +1,158 @@
+const Product = require('../models/Product');
+const ImportJob = require('../models/ImportJob');
+const { enqueueImport, streamProductsCsv } = require('../services/catalogCsv');
+const { buildProductQuery, buildProductSort } = require('../services/productQuery');
+const { runBulkOperation } = require('../services/bulkProducts');
+const { sendHttpError } = require('../utils/httpError');
+
+// Start a catalog import from an uploaded CSV file. The file is processed in
+// the background; poll the returned job for progress and row errors.
+// ?dryRun=true validates every row without writing anything.
+exports.importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: { file: 'A CSV file is required' }
+      });
+    }
+
+    const dryRun = String(req.query.dryRun || (req.body && req.body.dryRun)) === 'true';
+
+    const job = await ImportJob.create({
+      dryRun,
+      filename: req.file.originalname,
+      createdBy: req.user.id
+    });
+
+    enqueueImport(job, req.file.buffer, req);
+
+    res.status(202).json({
+      success: true,
+      msg: dryRun ? 'Dry run queued' : 'Import queued',
+      data: job
+    });
+  } catch (error) {
+    console.error('Import products error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error starting import',
+      error: error.message
+    });
+  }
+};
+
+// Get an import job with its counts and row errors
+exports.getImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id)
+      .populate('createdBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching import job',
+      error: error.message
+    });
+  }
+};
+
+// Download the catalog as CSV, in the import format. Takes the same filters
+// as the product listing, plus ?isActive to include or limit to hidden
+// products. Rows are streamed, so large catalogs are not held in memory.
+exports.exportProducts = async (req, res) => {
+  try {
+    const { query, mode } = await buildProductQuery(req.query, { storefront: false });
+    const { sort, projection } = buildProductSort(req.query, mode);
+
+    const cursor = Product.find(query, projection)
+      .populate({ path: 'category', select: 'name', options: { withDeleted: true } })
+      .sort(sort)
+      .lean()
+      .cursor();
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+
+    streamProductsCsv(cursor, res, (error) => {
+      if (error) {
+        // Headers are already sent; all we can do is cut the download short
+        console.error('Export products error:', error);
+        res.destroy(error);
+      }
+    });
+  } catch (error) {
+    console.error('Export products error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error exporting products',
+      error: error.message
+    });
+  }
+};
+
+// Apply one operation to many products, picked by `ids` or by `filter` (the
+// product listing filters). Send `preview: true` to see what would change.
+// Nothing is written unless every product can take the change; the report
+// lists the result for each product either way.
+exports.bulkUpdateProducts = async (req, res) => {
+  try {
+    const { ids, filter, operation, value } = req.body || {};
+    const preview = String(req.query.preview || (req.body && req.body.preview)) === 'true';
+
+    // Stock changes also need the inventory permission
+    if (operation === 'adjustStock' && !req.user.permissions.includes('inventory:write')) {
+      return res.status(403).json({
+        success: false,
+        msg: 'Access denied. Missing permission.',
+        errors: { auth: 'Requires permission: inventory:write' }
+      });
+    }
+
+    const report = await runBulkOperation({ ids, filter, operation, value }, { preview, req });
+
+    if (!preview && report.counts.failed > 0) {
+      return res.status(409).json({
+        success: false,
+        msg: 'No changes were made; some products cannot take this change',
+        data: report
+      });
+    }
+
+    let msg = 'Bulk operation applied';
+    if (preview) msg = 'Preview of bulk operation';
+    else if (!report.applied) msg = 'Nothing to change';
+
+    res.json({
+      success: true,
+      msg,
+      data: report
+    });
+  } catch (error) {
+    console.error('Bulk update products error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error applying bulk operation',
+      error: error.message
+    });
+  }
+};
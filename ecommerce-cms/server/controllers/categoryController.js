@@ -1,9 +1,23 @@
 const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { getPagination, paginate } = require('../utils/pagination');
+const { sendHttpError } = require('../utils/httpError');
+const { snapshot, recordAudit } = require('../services/audit');
+const { TRASH_RETENTION_DAYS, purgeCategory } = require('../services/trash');
+
+// Helper to format mongoose validation errors
+const formatValidationErrors = (error) => {
+  const errors = {};
+  Object.keys(error.errors).forEach(key => {
+    errors[key] = error.errors[key].message;
+  });
+  return errors;
+};
 
 // Get all categories
 exports.getAllCategories = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, isActive } = req.query;
+    const { search, isActive, parent } = req.query;
 
     let query = {};
     
@@ -15,25 +29,30 @@ exports.getAllCategories = async (req, res) => {
       query.isActive = isActive === 'true';
     }
 
-    const categories = await Category.find(query)
-      .populate('createdBy', 'name email')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    // parent=root lists top-level categories
+    if (parent !== undefined) {
+      query.parent = parent === 'root' || parent === '' ? null : parent;
+    }
 
-    const total = await Category.countDocuments(query);
+    const { data: categories, pagination } = await paginate(
+      Category.find(query)
+        .populate('createdBy', 'name email'),
+      getPagination(req.query),
+      { createdAt: -1 }
+    );
 
     res.json({
       success: true,
       data: categories,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get categories error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
     res.status(500).json({
       success: false,
       msg: 'Error fetching categories',
@@ -42,6 +61,70 @@ exports.getAllCategories = async (req, res) => {
   }
 };
 
+// Get categories as a nested tree
+exports.getCategoryTree = async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    const categories = await Category.find(query, 'name slug description parent isActive')
+      .sort({ name: 1 })
+      .lean();
+
+    // Index by id, then attach each category to its parent; orphans of
+    // hidden parents are dropped along with them
+    const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+    const tree = [];
+
+    nodes.forEach(node => {
+      if (!node.parent) {
+        tree.push(node);
+        return;
+      }
+      const parent = nodes.get(node.parent.toString());
+      if (parent) parent.children.push(node);
+    });
+
+    res.json({
+      success: true,
+      data: tree
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching category tree',
+      error: error.message
+    });
+  }
+};
+
+// Get breadcrumb path of a category
+exports.getBreadcrumbs = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await category.getBreadcrumbs()
+    });
+  } catch (error) {
+    console.error('Get breadcrumbs error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching breadcrumbs',
+      error: error.message
+    });
+  }
+};
+
 // Get single category
 exports.getCategory = async (req, res) => {
   try {
@@ -57,7 +140,8 @@ exports.getCategory = async (req, res) => {
 
     res.json({
       success: true,
-      data: category
+      data: category,
+      breadcrumbs: await category.getBreadcrumbs()
     });
   } catch (error) {
     console.error('Get category error:', error);
@@ -72,7 +156,7 @@ exports.getCategory = async (req, res) => {
 // Create category
 exports.createCategory = async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, parent } = req.body;
 
     if (!name) {
       return res.status(400).json({
@@ -84,10 +168,12 @@ exports.createCategory = async (req, res) => {
     const category = new Category({
       name,
       description,
+      parent: parent || null,
       createdBy: req.user.id
     });
 
     await category.save();
+    await recordAudit(req, { action: 'category.create', entityType: 'category', entityId: category._id, after: category });
 
     res.status(201).json({
       success: true,
@@ -96,11 +182,22 @@ exports.createCategory = async (req, res) => {
     });
   } catch (error) {
     console.error('Create category error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: formatValidationErrors(error)
+      });
+    }
     
     if (error.code === 11000) {
+      // Names stay taken while a deleted category is in the trash
+      const trashed = await Category.exists({ name: req.body.name, deletedAt: { $ne: null } });
       return res.status(400).json({
         success: false,
-        msg: 'Category name already exists'
+        msg: 'Category name already exists',
+        errors: trashed ? { name: 'A deleted category with this name is in the trash' } : undefined
       });
     }
 
@@ -115,7 +212,7 @@ exports.createCategory = async (req, res) => {
 // Update category
 exports.updateCategory = async (req, res) => {
   try {
-    const { name, description, isActive } = req.body;
+    const { name, description, isActive, parent } = req.body;
 
     const category = await Category.findById(req.params.id);
 
@@ -126,11 +223,14 @@ exports.updateCategory = async (req, res) => {
       });
     }
 
+    const before = snapshot(category);
     if (name) category.name = name;
     if (description !== undefined) category.description = description;
     if (isActive !== undefined) category.isActive = isActive;
+    if (parent !== undefined) category.parent = parent || null;
 
     await category.save();
+    await recordAudit(req, { action: 'category.update', entityType: 'category', entityId: category._id, before, after: category });
 
     res.json({
       success: true,
@@ -139,6 +239,14 @@ exports.updateCategory = async (req, res) => {
     });
   } catch (error) {
     console.error('Update category error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: formatValidationErrors(error)
+      });
+    }
     
     if (error.code === 11000) {
       return res.status(400).json({
@@ -155,9 +263,13 @@ exports.updateCategory = async (req, res) => {
   }
 };
 
-// Delete category
+// Delete category (moves it to the trash). A category still holding
+// products is only deleted once they have somewhere to go:
+//   ?reassignTo=<categoryId>   move them to another active category
+//   ?deactivateProducts=true   also take them off the storefront
 exports.deleteCategory = async (req, res) => {
   try {
+    const { reassignTo, deactivateProducts } = req.query;
     const category = await Category.findById(req.params.id);
 
     if (!category) {
@@ -167,11 +279,61 @@ exports.deleteCategory = async (req, res) => {
       });
     }
 
-    await Category.findByIdAndDelete(req.params.id);
+    // Subcategories would lose their place in the tree
+    const childCount = await Category.countDocuments({ parent: category._id });
+    if (childCount > 0) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Category has subcategories',
+        errors: { category: `Move or delete its ${childCount} subcategories first` }
+      });
+    }
+
+    // Trashed products count too: they would block the category's purge
+    const productCount = await Product.countDocuments({ category: category._id }).setOptions({ withDeleted: true });
+    let note;
+
+    // Products must always point at a category, so they are moved before the
+    // category goes; otherwise it could never be purged from the trash
+    if (productCount > 0 && !reassignTo) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Category has products',
+        errors: {
+          category: `${productCount} product(s) use this category. Reassign them with reassignTo (add deactivateProducts=true to also deactivate them)`
+        }
+      });
+    }
+
+    if (productCount > 0) {
+      const target = await Category.findById(reassignTo).catch(() => null);
+
+      if (!target || !target.isActive || target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          msg: 'Invalid target category',
+          errors: { reassignTo: 'Choose another active category' }
+        });
+      }
+
+      // Trashed products move too, so nothing is left pointing at this category
+      const update = { category: target._id };
+      if (deactivateProducts === 'true') update.isActive = false;
+
+      await Product.updateMany({ category: category._id }, { $set: update });
+      note = deactivateProducts === 'true'
+        ? `Moved ${productCount} product(s) to ${target.name} and deactivated them`
+        : `Moved ${productCount} product(s) to ${target.name}`;
+    }
+
+    const before = snapshot(category);
+    await category.softDelete(req.user.id);
+    await recordAudit(req, { action: 'category.delete', entityType: 'category', entityId: category._id, before, after: category, note });
 
     res.json({
       success: true,
-      msg: 'Category deleted successfully'
+      msg: 'Category moved to trash',
+      data: { products: productCount, note }
     });
   } catch (error) {
     console.error('Delete category error:', error);
@@ -182,3 +344,129 @@ exports.deleteCategory = async (req, res) => {
     });
   }
 };
+
+// Get deleted categories
+exports.getTrash = async (req, res) => {
+  try {
+    const { data: categories, pagination } = await paginate(
+      Category.find({ deletedAt: { $ne: null } })
+        .populate({ path: 'parent', select: 'name deletedAt', options: { withDeleted: true } })
+        .populate('deletedBy', 'name email'),
+      getPagination(req.query, { defaultLimit: 50 }),
+      { deletedAt: -1 }
+    );
+
+    res.json({
+      success: true,
+      data: categories.map(category => ({
+        ...category.toJSON(),
+        purgeAt: new Date(category.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      })),
+      pagination
+    });
+  } catch (error) {
+    console.error('Get category trash error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching deleted categories',
+      error: error.message
+    });
+  }
+};
+
+// Take a category out of the trash; its parent has to be restored first
+exports.restoreCategory = async (req, res) => {
+  try {
+    const category = await Category.findDeletedById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Category not found in trash'
+      });
+    }
+
+    if (category.parent && !(await Category.exists({ _id: category.parent }))) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Parent category is deleted',
+        errors: { parent: 'Restore the parent category first' }
+      });
+    }
+
+    const before = snapshot(category);
+
+    // Rebuild ancestors in case the tree changed while it was in the trash
+    category.markModified('parent');
+    await category.restore();
+    await recordAudit(req, { action: 'category.restore', entityType: 'category', entityId: category._id, before, after: category });
+
+    res.json({
+      success: true,
+      msg: 'Category restored successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Restore category error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: formatValidationErrors(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Another category already uses this name'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error restoring category',
+      error: error.message
+    });
+  }
+};
+
+// Permanently delete a category from the trash
+exports.purgeCategory = async (req, res) => {
+  try {
+    const category = await Category.findDeletedById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Category not found in trash'
+      });
+    }
+
+    await purgeCategory(category);
+    await recordAudit(req, { action: 'category.purge', entityType: 'category', entityId: category._id, before: category });
+
+    res.json({
+      success: true,
+      msg: 'Category permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge category error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error purging category',
+      error: error.message
+    });
+  }
+};
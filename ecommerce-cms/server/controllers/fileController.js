@@ -0,0 +1,26 @@
+const { getStorage } = require('../services/storage');
+
+// Redirect to a fetchable URL for a stored file (signed when the bucket is private)
+exports.getFile = async (req, res) => {
+  try {
+    // Keys are flat generated file names
+    if (!/^[\w.-]+$/.test(req.params.key)) {
+      return res.status(404).json({
+        success: false,
+        msg: 'File not found'
+      });
+    }
+
+    const url = await getStorage().getDownloadUrl(req.params.key);
+
+    res.set('Cache-Control', 'private, max-age=60');
+    res.redirect(302, url);
+  } catch (error) {
+    console.error('Get file error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching file',
+      error: error.message
+    });
+  }
+};
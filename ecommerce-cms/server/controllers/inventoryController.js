@@ -0,0 +1,230 @@
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const StockReservation = require('../models/StockReservation');
+const { recordMovement, reconcileStock, releaseReservation } = require('../services/inventory');
+const { getPagination, paginate } = require('../utils/pagination');
+const { sendHttpError } = require('../utils/httpError');
+
+// Get the movement history of a product
+exports.getMovements = async (req, res) => {
+  try {
+    const { type, variant } = req.query;
+
+    let query = { product: req.params.productId };
+
+    if (type) query.type = { $in: type.split(',') };
+    if (variant) query.variant = variant;
+
+    const { data: movements, pagination } = await paginate(
+      InventoryMovement.find(query)
+        .populate('user', 'name email')
+        .populate('order', 'orderNumber'),
+      getPagination(req.query, { defaultLimit: 20 }),
+      { createdAt: -1 }
+    );
+
+    res.json({
+      success: true,
+      data: movements,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get movements error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching inventory movements',
+      error: error.message
+    });
+  }
+};
+
+// Record a goods receipt or manual adjustment
+exports.createMovement = async (req, res) => {
+  try {
+    const { type, quantity, reason, variant } = req.body || {};
+    const delta = Number(quantity);
+
+    if (!['receipt', 'adjustment'].includes(type) || !Number.isInteger(delta) || delta === 0 || !reason) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid inventory movement',
+        errors: {
+          type: !['receipt', 'adjustment'].includes(type) ? 'Type must be receipt or adjustment' : null,
+          quantity: !Number.isInteger(delta) || delta === 0 ? 'Quantity must be a non-zero integer' : null,
+          reason: !reason ? 'Reason is required' : null
+        }
+      });
+    }
+
+    if (type === 'receipt' && delta < 0) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Receipts must add stock',
+        errors: { quantity: 'Quantity must be positive for receipts' }
+      });
+    }
+
+    const product = await Product.findById(req.params.productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Product not found'
+      });
+    }
+
+    if (product.variants.length > 0 && !product.getVariant(variant)) {
+      return res.status(400).json({
+        success: false,
+        msg: 'A valid variant is required for products with variants',
+        errors: { variant: 'Variant not found on this product' }
+      });
+    }
+
+    const updated = await recordMovement({
+      product: product._id,
+      variant: product.variants.length > 0 ? variant : null,
+      type,
+      stockDelta: delta,
+      reason,
+      user: req.user.id
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Not enough unreserved stock for this adjustment',
+        errors: { quantity: `${product.availableFor(product.getVariant(variant))} units available` }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      msg: 'Inventory movement recorded',
+      data: {
+        stock: updated.stock,
+        reserved: updated.reserved
+      }
+    });
+  } catch (error) {
+    console.error('Create movement error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error recording inventory movement',
+      error: error.message
+    });
+  }
+};
+
+// Get stock reservations
+exports.getReservations = async (req, res) => {
+  try {
+    const { status = 'active', product, user } = req.query;
+
+    let query = {};
+
+    if (status) query.status = { $in: status.split(',') };
+    if (product) query.product = product;
+    if (user) query.user = user;
+
+    const { data: reservations, pagination } = await paginate(
+      StockReservation.find(query)
+        .populate('product', 'name stock reserved')
+        .populate('user', 'name email'),
+      getPagination(req.query, { defaultLimit: 20 }),
+      { createdAt: -1 }
+    );
+
+    res.json({
+      success: true,
+      data: reservations,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get reservations error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching reservations',
+      error: error.message
+    });
+  }
+};
+
+// Release an active reservation early
+exports.cancelReservation = async (req, res) => {
+  try {
+    const reservation = await releaseReservation({ _id: req.params.id }, {
+      reason: `Released by ${req.user.email}`
+    });
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Active reservation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      msg: 'Reservation released',
+      data: reservation
+    });
+  } catch (error) {
+    console.error('Release reservation error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error releasing reservation',
+      error: error.message
+    });
+  }
+};
+
+// Reconcile product stock with the ledger (one product or all)
+exports.reconcile = async (req, res) => {
+  try {
+    const { productId } = req.body || {};
+
+    const productIds = productId
+      ? [productId]
+      : (await Product.find({}, '_id')).map(product => product._id);
+
+    const results = [];
+    for (const id of productIds) {
+      const result = await reconcileStock(id, { user: req.user.id });
+      if (result) results.push(result);
+    }
+
+    if (productId && results.length === 0) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      msg: 'Stock reconciled',
+      data: {
+        checked: results.length,
+        changed: results.filter(result => result.action !== 'none')
+      }
+    });
+  } catch (error) {
+    console.error('Reconcile stock error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error reconciling stock',
+      error: error.message
+    });
+  }
+};
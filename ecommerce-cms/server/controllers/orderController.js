@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const { recordMovement, commitReservation } = require('../services/inventory');
+const { httpError, sendHttpError } = require('../utils/httpError');
+const { getPagination, paginate } = require('../utils/pagination');
+const { roundPrice } = require('../utils/values');
+
+const SHIPPING_FIELDS = ['firstName', 'lastName', 'street', 'city', 'state', 'zipCode', 'country', 'phone'];
+const PAYMENT_METHODS = Order.schema.path('paymentMethod').enumValues;
+
+// Ordered products are shown even after they have been deleted
+const ORDER_PRODUCT_POPULATE = { path: 'items.product', select: 'name price images deletedAt', options: { withDeleted: true } };
+
+// Validate the checkout payload and merge duplicate product/variant lines
+const normalizeCheckout = ({ items, shippingAddress, paymentMethod }) => {
+  const errors = {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.items = 'At least one item is required';
+  }
+
+  const lines = new Map();
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    const productId = item && item.product;
+    const variantId = (item && item.variant) || null;
+    const quantity = Number(item && item.quantity);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      errors[`items.${index}.product`] = 'A valid product id is required';
+      return;
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      errors[`items.${index}.variant`] = 'A valid variant id is required';
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors[`items.${index}.quantity`] = 'Quantity must be a positive integer';
+      return;
+    }
+
+    const key = `${productId}:${variantId || ''}`;
+    const line = lines.get(key) || { product: productId.toString(), variant: variantId, quantity: 0 };
+    line.quantity += quantity;
+    lines.set(key, line);
+  });
+
+  if (!shippingAddress || typeof shippingAddress !== 'object') {
+    errors.shippingAddress = 'Shipping address is required';
+  } else {
+    SHIPPING_FIELDS.forEach(field => {
+      if (!shippingAddress[field] || !String(shippingAddress[field]).trim()) {
+        errors[`shippingAddress.${field}`] = `${field} is required`;
+      }
+    });
+  }
+
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    errors.paymentMethod = `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+  }
+
+  return {
+    errors,
+    lines: Array.from(lines.values())
+  };
+};
+
+// Create order (checkout)
+exports.createOrder = async (req, res) => {
+  const { shippingAddress, paymentMethod, notes } = req.body || {};
+  const { errors, lines } = normalizeCheckout(req.body || {});
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      success: false,
+      msg: 'Invalid checkout data',
+      errors
+    });
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let order;
+
+    await session.withTransaction(async () => {
+      const orderId = new mongoose.Types.ObjectId();
+      const reservations = await StockReservation.find({
+        user: req.user.id,
+        status: 'active',
+        expiresAt: { $gt: new Date() }
+      }).session(session);
+      const items = [];
+
+      for (const line of lines) {
+        // Use the stock held at checkout when there is a reservation, otherwise
+        // take it from available stock; both fail atomically rather than oversell
+        const reservation = reservations.find(r =>
+          r.product.toString() === line.product &&
+          String(r.variant || '') === String(line.variant || '') &&
+          r.quantity >= line.quantity
+        );
+        let product = reservation
+          ? await commitReservation(reservation, line.quantity, { order: orderId, session })
+          : null;
+
+        if (!product) {
+          product = await recordMovement({
+            product: line.product,
+            variant: line.variant,
+            type: 'sale',
+            stockDelta: -line.quantity,
+            reason: 'Order placed',
+            user: req.user.id,
+            order: orderId,
+            session
+          });
+        }
+
+        const variant = product && product.getVariant(line.variant);
+
+        if (!product || !product.isVisible() || (variant && !variant.isActive)) {
+          const existing = await Product.findById(line.product).session(session);
+          const existingVariant = existing && existing.getVariant(line.variant);
+
+          if (!existing || !existing.isVisible()) {
+            throw httpError(404, 'Product not available', {
+              [line.product]: 'Product not found or inactive'
+            });
+          }
+
+          if (existing.variants.length > 0 && !line.variant) {
+            throw httpError(400, 'Variant required', {
+              [line.product]: 'Please choose a variant'
+            });
+          }
+
+          if (line.variant && (!existingVariant || !existingVariant.isActive)) {
+            throw httpError(404, 'Variant not available', {
+              [line.variant]: 'Variant not found or inactive'
+            });
+          }
+
+          throw httpError(409, 'Insufficient stock', {
+            [line.variant || line.product]: `Only ${existing.availableFor(existingVariant)} available`
+          });
+        }
+
+        const price = product.priceFor(variant);
+
+        items.push({
+          product: product._id,
+          name: product.name,
+          variant: variant ? variant._id : null,
+          sku: variant ? variant.sku : undefined,
+          attributes: variant ? variant.attributes : undefined,
+          quantity: line.quantity,
+          price,
+          total: roundPrice(price * line.quantity)
+        });
+      }
+
+      const subtotal = roundPrice(items.reduce((sum, item) => sum + item.total, 0));
+      const tax = 0;
+      const shipping = 0;
+
+      order = new Order({
+        _id: orderId,
+        user: req.user.id,
+        items,
+        shippingAddress,
+        paymentMethod,
+        subtotal,
+        tax,
+        shipping,
+        total: roundPrice(subtotal + tax + shipping),
+        notes,
+        statusHistory: [{ field: 'orderStatus', to: 'pending', changedBy: req.user.id, note: 'Order placed' }]
+      });
+
+      await order.save({ session });
+    });
+
+    await order.populate(ORDER_PRODUCT_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      msg: 'Order placed successfully',
+      data: order
+    });
+  } catch (error) {
+    console.error('Create order error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = {};
+      Object.keys(error.errors).forEach(key => {
+        errors[key] = error.errors[key].message;
+      });
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error creating order',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Get orders of the current user
+exports.getMyOrders = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+
+    const { data: orders, pagination } = await paginate(
+      Order.find(query)
+        .populate(ORDER_PRODUCT_POPULATE),
+      getPagination(req.query),
+      { createdAt: -1 }
+    );
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching orders',
+      error: error.message
+    });
+  }
+};
+
+// Get single order of the current user
+exports.getOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate(ORDER_PRODUCT_POPULATE);
+
+    if (!order || (order.user.toString() !== req.user.id.toString() && !req.user.permissions.includes('order:read'))) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching order',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const { getProvider } = require('../services/payments');
+const { httpError, sendHttpError } = require('../utils/httpError');
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'usd';
+
+// Payment status each webhook event type moves the order to
+const EVENT_STATUS = {
+  'payment.succeeded': 'paid',
+  'payment.failed': 'failed',
+  'refund.succeeded': 'refunded'
+};
+
+// Whether a payment event is for the amount and currency the order's
+// payment was started with; refund events carry the refunded amount instead
+const matchesPayment = (order, event) => {
+  if (!event.type.startsWith('payment.')) {
+    return true;
+  }
+
+  const currency = (order.payment.currency || CURRENCY).toLowerCase();
+  return event.amount === order.payment.amount && String(event.currency || '').toLowerCase() === currency;
+};
+
+// Apply a verified webhook event to its order exactly once
+const applyPaymentEvent = async (providerName, event) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      const alreadyProcessed = await PaymentEvent.exists({ provider: providerName, eventId: event.id }).session(session);
+
+      if (alreadyProcessed) {
+        result = 'duplicate';
+        return;
+      }
+
+      const order = await Order.findOne({
+        'payment.provider': providerName,
+        'payment.intentId': event.intentId
+      }).session(session);
+
+      const status = EVENT_STATUS[event.type];
+      const partialRefund = status === 'refunded' && order && order.refundedAmount < order.total;
+      result = 'ignored';
+
+      if (order && status && !matchesPayment(order, event)) {
+        console.warn(`Payment event ${event.id} rejected: amount or currency does not match order ${order._id}`);
+        result = 'rejected';
+      } else if (order && status && !partialRefund && order.transitionStatus('paymentStatus', status, null, `${providerName} event ${event.id}`)) {
+        if (status === 'paid') {
+          order.payment.paidAt = new Date();
+        }
+        await order.save({ session });
+        result = 'applied';
+      }
+
+      await PaymentEvent.create([{
+        provider: providerName,
+        eventId: event.id,
+        type: event.type,
+        order: order ? order._id : null,
+        result
+      }], { session });
+    });
+
+    return result;
+  } catch (error) {
+    // A concurrent delivery of the same event won the insert
+    if (error.code === 11000) {
+      return 'duplicate';
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Start a payment for one of the current user's orders
+exports.createPaymentIntent = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.user.toString() !== req.user.id.toString()) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Order not found'
+      });
+    }
+
+    if (order.paymentMethod === 'cash_on_delivery') {
+      return res.status(400).json({
+        success: false,
+        msg: 'Cash on delivery orders are paid on delivery'
+      });
+    }
+
+    if (order.orderStatus === 'cancelled' || !['pending', 'failed'].includes(order.paymentStatus)) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Order cannot be paid',
+        errors: { paymentStatus: `Order payment is ${order.paymentStatus} and order is ${order.orderStatus}` }
+      });
+    }
+
+    const provider = getProvider();
+
+    if (!provider) {
+      return res.status(503).json({
+        success: false,
+        msg: 'Payment provider is not configured'
+      });
+    }
+
+    const intent = await provider.createIntent({
+      amount: order.total,
+      currency: CURRENCY,
+      orderId: order._id
+    });
+
+    // Retrying after a failed payment starts over from pending
+    if (order.paymentStatus === 'failed') {
+      order.transitionStatus('paymentStatus', 'pending', req.user.id, 'Payment retried');
+    }
+
+    order.payment = {
+      provider: provider.name,
+      intentId: intent.id,
+      amount: intent.amount,
+      currency: intent.currency
+    };
+
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      msg: 'Payment started',
+      data: {
+        provider: provider.name,
+        intentId: intent.id,
+        clientSecret: intent.clientSecret,
+        status: intent.status,
+        amount: intent.amount,
+        currency: intent.currency
+      }
+    });
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error starting payment',
+      error: error.message
+    });
+  }
+};
+
+// Receive a signed webhook from a payment provider
+exports.handleWebhook = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Unknown payment provider'
+      });
+    }
+
+    const event = await provider.verifyWebhook(req.rawBody, req.headers);
+
+    if (!event || !event.id) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid webhook signature'
+      });
+    }
+
+    const result = await applyPaymentEvent(provider.name, event);
+
+    res.json({
+      success: true,
+      received: true,
+      result
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error processing webhook',
+      error: error.message
+    });
+  }
+};
+
+// Send a signed mock webhook through the normal webhook path (sandbox only)
+exports.simulateMockPayment = async (req, res) => {
+  try {
+    const { outcome = 'succeeded' } = req.body || {};
+    const provider = getProvider('mock');
+
+    if (!provider) {
+      throw httpError(404, 'Mock payments are not enabled');
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order || (order.user.toString() !== req.user.id.toString() && !req.user.permissions.includes('order:update'))) {
+      throw httpError(404, 'Order not found');
+    }
+
+    if (!order.payment || order.payment.provider !== 'mock') {
+      throw httpError(404, 'No mock payment found for this order');
+    }
+
+    if (!['succeeded', 'failed'].includes(outcome)) {
+      throw httpError(400, 'Outcome must be succeeded or failed');
+    }
+
+    const webhook = provider.buildWebhook(
+      `payment.${outcome}`,
+      order.payment.intentId,
+      order.payment.amount,
+      order.payment.currency || CURRENCY
+    );
+    const event = await provider.verifyWebhook(Buffer.from(webhook.body), webhook.headers);
+    const result = await applyPaymentEvent(provider.name, event);
+
+    res.json({
+      success: true,
+      msg: 'Mock webhook delivered',
+      data: { event, result }
+    });
+  } catch (error) {
+    console.error('Simulate payment error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error simulating payment',
+      error: error.message
+    });
+  }
+};
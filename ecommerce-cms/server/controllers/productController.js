@@ -1,86 +1,143 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
-const fs = require('fs');
-const path = require('path');
+const Category = require('../models/Category');
+const { buildHighlights } = require('../utils/search');
+const { getPagination, paginate } = require('../utils/pagination');
+const { httpError, sendHttpError } = require('../utils/httpError');
+const { recordMovement, recordInitialStock, moveStockToVariant } = require('../services/inventory');
+const { removeImageFiles } = require('../services/images');
+const { snapshot, recordAudit } = require('../services/audit');
+const { TRASH_RETENTION_DAYS, checkProductInUse, purgeProduct } = require('../services/trash');
+const { buildProductQuery, buildProductSort } = require('../services/productQuery');
 
-// Helper function to delete uploaded files
-const deleteUploadedFiles = (files) => {
+// Helper function to delete uploaded files (and their renditions)
+const deleteUploadedFiles = async (files) => {
   if (files && files.length > 0) {
-    files.forEach(file => {
-      const filePath = path.join(__dirname, '..', file.path);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
-    });
+    await Promise.all(files.map(removeImageFiles));
   }
 };
 
 // Helper function to format file info
 const formatFileInfo = (file) => ({
   filename: file.filename,
+  key: file.key,
+  url: file.url,
   originalName: file.originalname,
   path: file.path,
   size: file.size,
   mimetype: file.mimetype,
+  renditions: file.renditions || [],
   uploadedAt: new Date()
 });
 
+// Helper to read a JSON field that may arrive as a string in multipart forms
+const parseJsonField = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper to turn variant image references into product image ids.
+// Numbers index into the images uploaded with this request; strings are
+// ids of images the product already has.
+const resolveVariantImages = (refs, product, uploadedImages) => {
+  if (!Array.isArray(refs)) return [];
+
+  return refs
+    .map(ref => {
+      if (typeof ref === 'number') {
+        return uploadedImages[ref] ? uploadedImages[ref]._id : null;
+      }
+      const image = product.images.id(ref);
+      return image ? image._id : null;
+    })
+    .filter(Boolean);
+};
+
+// Helper to check a permission of the signed-in user, if any (public routes)
+const hasPermission = (req, permission) => !!req.user && (req.user.permissions || []).includes(permission);
+
+// Helper to build a variant from request input; stock is handled by the caller
+const buildVariant = (input, product, uploadedImages) => ({
+  sku: input.sku,
+  attributes: input.attributes || {},
+  price: input.price !== undefined && input.price !== null && input.price !== '' ? parseFloat(input.price) : null,
+  stock: 0,
+  images: resolveVariantImages(input.images, product, uploadedImages),
+  isActive: input.isActive !== undefined ? input.isActive : true
+});
+
+// Parse price bucket boundaries, e.g. ?priceBuckets=0,50,100,250
+const parsePriceBuckets = (value) => {
+  const boundaries = String(value).split(',').map(Number);
+
+  const valid = boundaries.length >= 2 &&
+    boundaries.every((boundary, index) => Number.isFinite(boundary) && (index === 0 || boundary > boundaries[index - 1]));
+
+  return valid ? boundaries : null;
+};
+
 // Get all products
 exports.getAllProducts = async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      category, 
-      minPrice, 
-      maxPrice, 
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build query
-    let query = { isActive: true };
-    
-    if (category) {
-      query.category = category;
-    }
-    
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
+    const { search, facets, priceBuckets } = req.query;
+
+    const bucketBoundaries = priceBuckets ? parsePriceBuckets(priceBuckets) : undefined;
+    if (bucketBoundaries === null) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid price buckets',
+        errors: { priceBuckets: 'Use at least two ascending numbers, e.g. 0,50,100' }
+      });
     }
-    
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+
+    // Staff can list unpublished products with ?preview=true
+    const preview = req.query.preview === 'true';
+    if (preview && !hasPermission(req, 'product:update')) {
+      return res.status(403).json({
+        success: false,
+        msg: 'Access denied. Missing permission.',
+        errors: { auth: 'Requires permission: product:update' }
+      });
     }
 
-    // Sort options
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const { query, mode } = await buildProductQuery(req.query, { storefront: !preview });
 
-    const products = await Product.find(query)
-      .populate('createdBy', 'name email')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    // Text searches rank by relevance unless told otherwise (cursors need a
+    // real field, so cursor mode defaults to createdAt)
+    const pagination = getPagination(req.query);
+    const { sort, projection } = buildProductSort(req.query, mode, { relevanceByDefault: pagination.mode === 'page' });
 
-    const total = await Product.countDocuments(query);
+    const { data: products, pagination: pageInfo } = await paginate(
+      Product.find(query, projection).populate('createdBy', 'name email'),
+      pagination,
+      sort
+    );
+
+    const facetCounts = facets === 'true'
+      ? await Product.getFacets(query, { priceBuckets: bucketBoundaries })
+      : undefined;
 
     res.json({
       success: true,
-      data: products,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      }
+      data: search
+        ? products.map(product => ({ ...product.toJSON(), highlights: buildHighlights(product, search) }))
+        : products,
+      search: search ? { query: search, mode } : undefined,
+      facets: facetCounts,
+      pagination: pageInfo
     });
   } catch (error) {
     console.error('Get products error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
     res.status(500).json({
       success: false,
       msg: 'Error fetching products',
@@ -95,7 +152,8 @@ exports.getProduct = async (req, res) => {
     const product = await Product.findById(req.params.id)
       .populate('createdBy', 'name email');
 
-    if (!product) {
+    // Unpublished products are only shown to staff, as a preview
+    if (!product || (product.status !== 'published' && !hasPermission(req, 'product:update'))) {
       return res.status(404).json({
         success: false,
         msg: 'Product not found'
@@ -123,12 +181,15 @@ exports.createProduct = async (req, res) => {
     console.log('Request files:', req.files);
     
     const { name, description, price, category, stock } = req.body || {};
+    const status = (req.body || {}).status || (hasPermission(req, 'product:publish') ? 'published' : 'draft');
+    const options = parseJsonField((req.body || {}).options);
+    const variants = parseJsonField((req.body || {}).variants);
     const uploadedFiles = req.files || [];
 
     // Validation
     if (!name || !description || !price || !category) {
       // Delete uploaded files if validation fails
-      deleteUploadedFiles(uploadedFiles);
+      await deleteUploadedFiles(uploadedFiles);
       
       return res.status(400).json({
         success: false,
@@ -142,6 +203,39 @@ exports.createProduct = async (req, res) => {
       });
     }
 
+    if (options === null || variants === null || (variants !== undefined && !Array.isArray(variants))) {
+      await deleteUploadedFiles(uploadedFiles);
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: {
+          options: options === null ? 'Options must be valid JSON' : null,
+          variants: variants === null || (variants !== undefined && !Array.isArray(variants)) ? 'Variants must be a JSON array' : null
+        }
+      });
+    }
+
+    if (!['draft', 'in_review', 'published'].includes(status)) {
+      await deleteUploadedFiles(uploadedFiles);
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: { status: 'New products can be draft, in_review or published' }
+      });
+    }
+
+    if (status === 'published' && !hasPermission(req, 'product:publish')) {
+      await deleteUploadedFiles(uploadedFiles);
+
+      return res.status(403).json({
+        success: false,
+        msg: 'Access denied. Missing permission.',
+        errors: { auth: 'Requires permission: product:publish' }
+      });
+    }
+
     // Format uploaded files
     const images = uploadedFiles.map(file => formatFileInfo(file));
 
@@ -152,10 +246,26 @@ exports.createProduct = async (req, res) => {
       category,
       stock: stock ? parseInt(stock) : 0,
       images,
+      options: options || [],
+      status,
+      publishedAt: status === 'published' ? new Date() : null,
       createdBy: req.user.id
     });
 
+    // With variants, stock lives on each variant and the product holds the total
+    if (variants && variants.length > 0) {
+      variants.forEach(input => {
+        product.variants.push({
+          ...buildVariant(input, product, product.images),
+          stock: input.stock ? parseInt(input.stock) : 0
+        });
+      });
+      product.stock = product.variants.reduce((sum, variant) => sum + variant.stock, 0);
+    }
+
     await product.save();
+    await recordInitialStock(product, { user: req.user.id });
+    await recordAudit(req, { action: 'product.create', entityType: 'product', entityId: product._id, after: product });
 
     res.status(201).json({
       success: true,
@@ -166,7 +276,7 @@ exports.createProduct = async (req, res) => {
     console.error('Create product error:', error);
     
     // Delete uploaded files if product creation fails
-    deleteUploadedFiles(req.files || []);
+    await deleteUploadedFiles(req.files || []);
     
     if (error.name === 'ValidationError') {
       const errors = {};
@@ -192,14 +302,15 @@ exports.createProduct = async (req, res) => {
 // Update product
 exports.updateProduct = async (req, res) => {
   try {
-    const { name, description, price, category, stock, isActive } = req.body;
+    const { name, description, price, category, stock, stockReason, isActive } = req.body;
+    const options = parseJsonField(req.body.options);
     const uploadedFiles = req.files || [];
 
     const product = await Product.findById(req.params.id);
 
     if (!product) {
       // Delete uploaded files if product not found
-      deleteUploadedFiles(uploadedFiles);
+      await deleteUploadedFiles(uploadedFiles);
       
       return res.status(404).json({
         success: false,
@@ -207,14 +318,32 @@ exports.updateProduct = async (req, res) => {
       });
     }
 
-    // Check if user owns the product or is admin
-    if (product.createdBy.toString() !== req.user.id && !req.user.isAdmin) {
-      // Delete uploaded files if not authorized
-      deleteUploadedFiles(uploadedFiles);
-      
-      return res.status(403).json({
+    const before = snapshot(product);
+
+    const invalidOptions = options === null;
+    const stockOnVariantProduct = stock !== undefined && stock !== '' && product.variants.length > 0;
+
+    if (invalidOptions || stockOnVariantProduct) {
+      await deleteUploadedFiles(uploadedFiles);
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: {
+          options: invalidOptions ? 'Options must be valid JSON' : null,
+          stock: stockOnVariantProduct ? 'Stock is managed per variant for this product' : null
+        }
+      });
+    }
+
+    const delta = stock !== undefined && stock !== '' ? parseInt(stock) - product.stock : 0;
+    if (Number.isNaN(delta)) {
+      await deleteUploadedFiles(uploadedFiles);
+
+      return res.status(400).json({
         success: false,
-        msg: 'Not authorized to update this product'
+        msg: 'Validation error',
+        errors: { stock: 'Stock must be a number' }
       });
     }
 
@@ -223,24 +352,63 @@ exports.updateProduct = async (req, res) => {
     if (description) product.description = description;
     if (price) product.price = price;
     if (category) product.category = category;
-    if (stock !== undefined) product.stock = stock;
     if (isActive !== undefined) product.isActive = isActive;
+    if (options !== undefined) product.options = options;
 
-    // Handle new images
+    // Handle new images: they replace all existing ones (use the /images
+    // endpoints to add or remove single images)
+    const replacedImages = uploadedFiles.length > 0 ? product.images.slice() : [];
     if (uploadedFiles.length > 0) {
-      // Delete old images from filesystem
-      product.images.forEach(image => {
-        const oldImagePath = path.join(__dirname, '..', image.path);
-        if (fs.existsSync(oldImagePath)) {
-          fs.unlinkSync(oldImagePath);
+      // Add new images; variant references to the old ones no longer apply
+      product.images = uploadedFiles.map(file => formatFileInfo(file));
+      product.variants.forEach(variant => {
+        variant.images = [];
+      });
+    }
+
+    await product.validate();
+
+    // Stock changes are recorded as ledger adjustments rather than overwritten,
+    // in the same transaction as the save so a failed save leaves stock alone
+    const session = await mongoose.startSession();
+    let adjusted = null;
+
+    try {
+      await session.withTransaction(async () => {
+        adjusted = null;
+
+        if (delta !== 0) {
+          adjusted = await recordMovement({
+            product: product._id,
+            type: 'adjustment',
+            stockDelta: delta,
+            reason: stockReason || 'Stock updated with product',
+            user: req.user.id,
+            session
+          });
+
+          if (!adjusted) {
+            throw httpError(409, 'Stock cannot go below the quantity currently reserved', {
+              stock: `${product.reserved} units are currently reserved`
+            });
+          }
         }
+
+        await product.save({ session });
       });
-      
-      // Add new images
-      product.images = uploadedFiles.map(file => formatFileInfo(file));
+    } finally {
+      await session.endSession();
     }
 
-    await product.save();
+    // Delete old images and their renditions once the product no longer uses them
+    await Promise.all(replacedImages.map(removeImageFiles));
+
+    if (adjusted) {
+      product.stock = adjusted.stock;
+      product.reserved = adjusted.reserved;
+    }
+
+    await recordAudit(req, { action: 'product.update', entityType: 'product', entityId: product._id, before, after: product });
 
     res.json({
       success: true,
@@ -251,7 +419,11 @@ exports.updateProduct = async (req, res) => {
     console.error('Update product error:', error);
     
     // Delete uploaded files if update fails
-    deleteUploadedFiles(req.files || []);
+    await deleteUploadedFiles(req.files || []);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
     
     if (error.name === 'ValidationError') {
       const errors = {};
@@ -274,9 +446,21 @@ exports.updateProduct = async (req, res) => {
   }
 };
 
-// Delete product
-exports.deleteProduct = async (req, res) => {
+// Move a product through the publishing workflow (draft, in_review,
+// published, archived). Publishing, archiving and taking a product down
+// need the publish permission; drafting and review do not.
+exports.updateProductStatus = async (req, res) => {
   try {
+    const { status, note } = req.body || {};
+
+    if (!Product.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: { status: `Status must be one of: ${Product.STATUSES.join(', ')}` }
+      });
+    }
+
     const product = await Product.findById(req.params.id);
 
     if (!product) {
@@ -286,30 +470,176 @@ exports.deleteProduct = async (req, res) => {
       });
     }
 
-    // Check if user owns the product or is admin
-    if (product.createdBy.toString() !== req.user.id && !req.user.isAdmin) {
+    const needsPublish = ['published', 'archived'].includes(status) || product.status === 'published';
+    if (needsPublish && !hasPermission(req, 'product:publish')) {
       return res.status(403).json({
         success: false,
-        msg: 'Not authorized to delete this product'
+        msg: 'Access denied. Missing permission.',
+        errors: { auth: 'Requires permission: product:publish' }
       });
     }
 
-    // Delete associated images from filesystem
-    product.images.forEach(image => {
-      const imagePath = path.join(__dirname, '..', image.path);
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
+    if (status === product.status) {
+      return res.json({
+        success: true,
+        msg: `Product is already ${status}`,
+        data: product
+      });
+    }
+
+    const before = snapshot(product);
+    const from = product.status;
+
+    if (!product.transitionStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid status transition',
+        errors: { status: `Cannot change status from ${from} to ${status}` }
+      });
+    }
+
+    await product.save();
+    await recordAudit(req, { action: 'product.status', entityType: 'product', entityId: product._id, before, after: product, note });
+
+    res.json({
+      success: true,
+      msg: `Product moved from ${from} to ${status}`,
+      data: product
+    });
+  } catch (error) {
+    console.error('Update product status error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = {};
+      Object.keys(error.errors).forEach(key => {
+        errors[key] = error.errors[key].message;
+      });
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error updating product status',
+      error: error.message
+    });
+  }
+};
+
+// Helper to read a schedule date: undefined leaves it as is, null or ''
+// clears it, anything else must be a date in the future
+const parseScheduleDate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) || date <= new Date() ? false : date;
+};
+
+// Schedule a product to be published and/or unpublished (archived) at a
+// given time; the publish scheduler carries it out
+exports.scheduleProduct = async (req, res) => {
+  try {
+    const publishAt = parseScheduleDate((req.body || {}).publishAt);
+    const unpublishAt = parseScheduleDate((req.body || {}).unpublishAt);
+
+    if (publishAt === false || unpublishAt === false) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: {
+          publishAt: publishAt === false ? 'publishAt must be a date in the future' : null,
+          unpublishAt: unpublishAt === false ? 'unpublishAt must be a date in the future' : null
+        }
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Product not found'
+      });
+    }
+
+    if (publishAt && product.status === 'published') {
+      return res.status(409).json({
+        success: false,
+        msg: 'Product is already published',
+        errors: { publishAt: 'Only unpublished products can be scheduled for publishing' }
+      });
+    }
+
+    const before = snapshot(product);
+    if (publishAt !== undefined) product.publishAt = publishAt;
+    if (unpublishAt !== undefined) product.unpublishAt = unpublishAt;
+
+    await product.save();
+    await recordAudit(req, { action: 'product.schedule', entityType: 'product', entityId: product._id, before, after: product });
+
+    res.json({
+      success: true,
+      msg: 'Publishing schedule updated',
+      data: product
+    });
+  } catch (error) {
+    console.error('Schedule product error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = {};
+      Object.keys(error.errors).forEach(key => {
+        errors[key] = error.errors[key].message;
+      });
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error scheduling product',
+      error: error.message
     });
+  }
+};
+
+// Delete product (moves it to the trash; images are kept until it is purged)
+exports.deleteProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Product not found'
+      });
+    }
 
-    await Product.findByIdAndDelete(req.params.id);
+    await checkProductInUse(product);
+
+    const before = snapshot(product);
+    await product.softDelete(req.user.id);
+    await recordAudit(req, { action: 'product.delete', entityType: 'product', entityId: product._id, before, after: product });
 
     res.json({
       success: true,
-      msg: 'Product deleted successfully'
+      msg: 'Product moved to trash'
     });
   } catch (error) {
     console.error('Delete product error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
     res.status(500).json({
       success: false,
       msg: 'Error deleting product',
@@ -317,3 +647,643 @@ exports.deleteProduct = async (req, res) => {
     });
   }
 };
+
+// Trash entries with the date they will be purged
+const withPurgeDate = (doc) => ({
+  ...doc.toJSON(),
+  purgeAt: new Date(doc.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+});
+
+// Get deleted products
+exports.getTrash = async (req, res) => {
+  try {
+    const { data: products, pagination } = await paginate(
+      Product.find({ deletedAt: { $ne: null } })
+        .populate({ path: 'category', select: 'name', options: { withDeleted: true } })
+        .populate('deletedBy', 'name email'),
+      getPagination(req.query),
+      { deletedAt: -1 }
+    );
+
+    res.json({
+      success: true,
+      data: products.map(withPurgeDate),
+      pagination
+    });
+  } catch (error) {
+    console.error('Get product trash error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching deleted products',
+      error: error.message
+    });
+  }
+};
+
+// Take a product out of the trash
+exports.restoreProduct = async (req, res) => {
+  try {
+    const product = await Product.findDeletedById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Product not found in trash'
+      });
+    }
+
+    if (!(await Category.exists({ _id: product.category }))) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Product category is deleted',
+        errors: { category: 'Restore its category first' }
+      });
+    }
+
+    const before = snapshot(product);
+    await product.restore();
+    await recordAudit(req, { action: 'product.restore', entityType: 'product', entityId: product._id, before, after: product });
+
+    res.json({
+      success: true,
+      msg: 'Product restored successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('Restore product error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Another product already uses one of its SKUs'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error restoring product',
+      error: error.message
+    });
+  }
+};
+
+// Permanently delete a product from the trash, with its images
+exports.purgeProduct = async (req, res) => {
+  try {
+    const product = await Product.findDeletedById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Product not found in trash'
+      });
+    }
+
+    await purgeProduct(product);
+    await recordAudit(req, { action: 'product.purge', entityType: 'product', entityId: product._id, before: product });
+
+    res.json({
+      success: true,
+      msg: 'Product permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge product error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error purging product',
+      error: error.message
+    });
+  }
+};
+
+// Add a variant to a product
+exports.addVariant = async (req, res) => {
+  try {
+    const input = req.body || {};
+    const attributes = parseJsonField(input.attributes);
+    const images = parseJsonField(input.images);
+    const uploadedFiles = req.files || [];
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      await deleteUploadedFiles(uploadedFiles);
+
+      return res.status(404).json({
+        success: false,
+        msg: 'Product not found'
+      });
+    }
+
+    const before = snapshot(product);
+    const stock = input.stock ? parseInt(input.stock) : 0;
+
+    if (!input.sku || attributes === null || Number.isNaN(stock) || stock < 0) {
+      await deleteUploadedFiles(uploadedFiles);
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: {
+          sku: !input.sku ? 'SKU is required' : null,
+          attributes: attributes === null ? 'Attributes must be valid JSON' : null,
+          stock: Number.isNaN(stock) || stock < 0 ? 'Stock must be a non-negative number' : null
+        }
+      });
+    }
+
+    const newImages = uploadedFiles.map(file => formatFileInfo(file));
+    newImages.forEach(image => product.images.push(image));
+    const uploadedImages = product.images.slice(product.images.length - newImages.length);
+
+    product.variants.push(buildVariant({ ...input, attributes, images }, product, uploadedImages));
+    const variant = product.variants[product.variants.length - 1];
+    await product.validate();
+
+    // The first variant takes over stock held at product level; its reservations
+    // cannot move with it, so wait until they are released
+    const moveStock = product.variants.length === 1 && product.stock > 0;
+    if (moveStock && product.reserved > 0) {
+      await deleteUploadedFiles(uploadedFiles);
+
+      return res.status(409).json({
+        success: false,
+        msg: 'Product stock is reserved and cannot be moved to variants yet'
+      });
+    }
+
+    const session = await mongoose.startSession();
+    let updated;
+
+    try {
+      await session.withTransaction(async () => {
+        await product.save({ session });
+
+        if (moveStock && !(await moveStockToVariant(product._id, variant._id, { user: req.user.id, session }))) {
+          throw httpError(409, 'Product stock is reserved and cannot be moved to variants yet');
+        }
+
+        updated = stock > 0
+          ? await recordMovement({
+            product: product._id,
+            variant: variant._id,
+            type: 'receipt',
+            stockDelta: stock,
+            reason: 'Initial variant stock',
+            user: req.user.id,
+            session
+          })
+          : await Product.findById(product._id).session(session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await recordAudit(req, { action: 'product.variant.create', entityType: 'product', entityId: product._id, before, after: updated });
+
+    res.status(201).json({
+      success: true,
+      msg: 'Variant added successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Add variant error:', error);
+
+    await deleteUploadedFiles(req.files || []);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = {};
+      Object.keys(error.errors).forEach(key => {
+        errors[key] = error.errors[key].message;
+      });
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        msg: 'SKU already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error adding variant',
+      error: error.message
+    });
+  }
+};
+
+// Update a variant
+exports.updateVariant = async (req, res) => {
+  try {
+    const { sku, price, stock, stockReason, isActive } = req.body || {};
+    const attributes = parseJsonField((req.body || {}).attributes);
+    const images = parseJsonField((req.body || {}).images);
+
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.getVariant(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Variant not found'
+      });
+    }
+
+    const before = snapshot(product);
+
+    if (attributes === null || images === null) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: {
+          attributes: attributes === null ? 'Attributes must be valid JSON' : null,
+          images: images === null ? 'Images must be valid JSON' : null
+        }
+      });
+    }
+
+    const delta = stock !== undefined && stock !== '' ? parseInt(stock) - variant.stock : 0;
+    if (Number.isNaN(delta)) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors: { stock: 'Stock must be a number' }
+      });
+    }
+
+    if (sku) variant.sku = sku;
+    if (attributes !== undefined) variant.attributes = attributes;
+    if (price !== undefined) variant.price = price === null || price === '' ? null : parseFloat(price);
+    if (isActive !== undefined) variant.isActive = isActive;
+    if (images !== undefined) variant.images = resolveVariantImages(images, product, []);
+
+    await product.validate();
+
+    // Stock changes are recorded as ledger adjustments rather than overwritten,
+    // in the same transaction as the save so a failed save (e.g. a duplicate
+    // SKU) leaves stock alone
+    const session = await mongoose.startSession();
+    let adjusted = null;
+
+    try {
+      await session.withTransaction(async () => {
+        adjusted = null;
+
+        if (delta !== 0) {
+          adjusted = await recordMovement({
+            product: product._id,
+            variant: variant._id,
+            type: 'adjustment',
+            stockDelta: delta,
+            reason: stockReason || 'Variant stock updated',
+            user: req.user.id,
+            session
+          });
+
+          if (!adjusted) {
+            throw httpError(409, 'Stock cannot go below the quantity currently reserved', {
+              stock: `${variant.reserved} units are currently reserved`
+            });
+          }
+        }
+
+        await product.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (adjusted) {
+      product.stock = adjusted.stock;
+      product.reserved = adjusted.reserved;
+      variant.stock = adjusted.getVariant(variant._id).stock;
+      variant.reserved = adjusted.getVariant(variant._id).reserved;
+    }
+
+    await recordAudit(req, { action: 'product.variant.update', entityType: 'product', entityId: product._id, before, after: product });
+
+    res.json({
+      success: true,
+      msg: 'Variant updated successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('Update variant error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = {};
+      Object.keys(error.errors).forEach(key => {
+        errors[key] = error.errors[key].message;
+      });
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        msg: 'SKU already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error updating variant',
+      error: error.message
+    });
+  }
+};
+
+// Delete a variant, writing off its remaining stock
+exports.deleteVariant = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.getVariant(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Variant not found'
+      });
+    }
+
+    if (variant.reserved > 0) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Variant has reserved stock and cannot be deleted yet'
+      });
+    }
+
+    if (variant.stock > 0) {
+      const written = await recordMovement({
+        product: product._id,
+        variant: variant._id,
+        type: 'adjustment',
+        stockDelta: -variant.stock,
+        reason: 'Variant deleted',
+        user: req.user.id
+      });
+
+      if (!written) {
+        return res.status(409).json({
+          success: false,
+          msg: 'Variant stock changed, please try again'
+        });
+      }
+    }
+
+    const updated = await Product.findByIdAndUpdate(
+      product._id,
+      { $pull: { variants: { _id: variant._id } } },
+      { new: true }
+    );
+
+    await recordAudit(req, { action: 'product.variant.delete', entityType: 'product', entityId: product._id, before: product, after: updated });
+
+    res.json({
+      success: true,
+      msg: 'Variant deleted successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Delete variant error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error deleting variant',
+      error: error.message
+    });
+  }
+};
+
+// Load the product being edited, or throw a 404
+const findEditableProduct = async (req) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    throw httpError(404, 'Product not found');
+  }
+
+  return product;
+};
+
+// Append uploaded images to a product
+exports.addImages = async (req, res) => {
+  const uploadedFiles = req.files || [];
+
+  try {
+    const product = await findEditableProduct(req);
+
+    if (uploadedFiles.length === 0) {
+      throw httpError(400, 'At least one image is required');
+    }
+
+    const remaining = Product.MAX_IMAGES - product.images.length;
+    if (uploadedFiles.length > remaining) {
+      throw httpError(400, `A product can have at most ${Product.MAX_IMAGES} images`, {
+        images: `${Math.max(remaining, 0)} more image(s) can be added`
+      });
+    }
+
+    // Guard on the array size so concurrent uploads cannot exceed the limit
+    const updated = await Product.findOneAndUpdate(
+      { _id: product._id, [`images.${Product.MAX_IMAGES - uploadedFiles.length}`]: { $exists: false } },
+      { $push: { images: { $each: uploadedFiles.map(file => formatFileInfo(file)) } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw httpError(409, 'Product images changed, please try again');
+    }
+
+    await recordAudit(req, { action: 'product.image.create', entityType: 'product', entityId: product._id, before: product, after: updated });
+
+    res.status(201).json({
+      success: true,
+      msg: 'Images added successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Add images error:', error);
+
+    await deleteUploadedFiles(uploadedFiles);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error adding images',
+      error: error.message
+    });
+  }
+};
+
+// Edit an image's alt text or make it the primary (first) image
+exports.updateImage = async (req, res) => {
+  try {
+    const { alt, primary } = req.body || {};
+    const product = await findEditableProduct(req);
+    const image = product.images.id(req.params.imageId);
+
+    if (!image) {
+      throw httpError(404, 'Image not found');
+    }
+
+    const before = snapshot(product);
+    if (alt !== undefined) image.alt = alt;
+
+    if (primary === true || primary === 'true') {
+      product.images = [image].concat(product.images.filter(other => !other._id.equals(image._id)));
+    }
+
+    await product.save();
+    await recordAudit(req, { action: 'product.image.update', entityType: 'product', entityId: product._id, before, after: product });
+
+    res.json({
+      success: true,
+      msg: 'Image updated successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('Update image error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = {};
+      Object.keys(error.errors).forEach(key => {
+        errors[key] = error.errors[key].message;
+      });
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error updating image',
+      error: error.message
+    });
+  }
+};
+
+// Put a product's images in a new order; the first becomes the primary image
+exports.reorderImages = async (req, res) => {
+  try {
+    const { order } = req.body || {};
+    const product = await findEditableProduct(req);
+
+    const ids = Array.isArray(order) ? order.map(String) : [];
+    const isPermutation = ids.length === product.images.length &&
+      new Set(ids).size === ids.length &&
+      ids.every(id => product.images.id(id));
+
+    if (!isPermutation) {
+      throw httpError(400, 'Invalid image order', {
+        order: 'Order must list every image id of the product exactly once'
+      });
+    }
+
+    const before = snapshot(product);
+    product.images = ids.map(id => product.images.id(id));
+    await product.save();
+    await recordAudit(req, { action: 'product.image.reorder', entityType: 'product', entityId: product._id, before, after: product });
+
+    res.json({
+      success: true,
+      msg: 'Images reordered successfully',
+      data: product
+    });
+  } catch (error) {
+    console.error('Reorder images error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error reordering images',
+      error: error.message
+    });
+  }
+};
+
+// Remove a single image, its renditions and any variant references to it
+exports.deleteImage = async (req, res) => {
+  try {
+    const product = await findEditableProduct(req);
+    const image = product.images.id(req.params.imageId);
+
+    if (!image) {
+      throw httpError(404, 'Image not found');
+    }
+
+    const updated = await Product.findByIdAndUpdate(
+      product._id,
+      {
+        $pull: {
+          images: { _id: image._id },
+          'variants.$[].images': image._id
+        }
+      },
+      { new: true }
+    );
+
+    await removeImageFiles(image);
+    await recordAudit(req, { action: 'product.image.delete', entityType: 'product', entityId: product._id, before: product, after: updated });
+
+    res.json({
+      success: true,
+      msg: 'Image deleted successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Delete image error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error deleting image',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,442 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { getProvider } = require('../services/payments');
+const { restockItems } = require('../services/inventory');
+const { httpError, sendHttpError } = require('../utils/httpError');
+const { getPagination, paginate } = require('../utils/pagination');
+const { roundPrice } = require('../utils/values');
+const { snapshot, recordAudit } = require('../services/audit');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+// Quantities per order line already covered by open or completed returns
+const getReturnedQuantities = async (orderId) => {
+  const returns = await ReturnRequest.find({ order: orderId, status: { $ne: 'rejected' } });
+  const quantities = {};
+
+  returns.forEach(returnRequest => {
+    returnRequest.items.forEach(item => {
+      const key = item.orderItem.toString();
+      quantities[key] = (quantities[key] || 0) + item.quantity;
+    });
+  });
+
+  return quantities;
+};
+
+// Request a return for lines of a delivered order
+exports.createReturn = async (req, res) => {
+  try {
+    const { items } = req.body || {};
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.user.toString() !== req.user.id.toString()) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Order not found'
+      });
+    }
+
+    if (order.orderStatus !== 'delivered') {
+      return res.status(409).json({
+        success: false,
+        msg: 'Only delivered orders can be returned'
+      });
+    }
+
+    const delivered = order.statusHistory.filter(entry => entry.field === 'orderStatus' && entry.to === 'delivered').pop();
+    const deliveredAt = delivered ? delivered.changedAt : order.updatedAt;
+    if (Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(409).json({
+        success: false,
+        msg: `Returns are only accepted within ${RETURN_WINDOW_DAYS} days of delivery`
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        msg: 'At least one item is required'
+      });
+    }
+
+    const returned = await getReturnedQuantities(order._id);
+    const errors = {};
+    const lines = [];
+
+    items.forEach((line, index) => {
+      const orderItem = line && order.items.id(line.item);
+      const quantity = Number(line && line.quantity);
+
+      if (!orderItem) {
+        errors[`items.${index}.item`] = 'Order item not found';
+        return;
+      }
+
+      const available = orderItem.quantity - (returned[orderItem._id.toString()] || 0);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > available) {
+        errors[`items.${index}.quantity`] = `Quantity must be between 1 and ${available}`;
+        return;
+      }
+
+      if (!ReturnRequest.RETURN_REASONS.includes(line.reason)) {
+        errors[`items.${index}.reason`] = `Reason must be one of: ${ReturnRequest.RETURN_REASONS.join(', ')}`;
+        return;
+      }
+
+      returned[orderItem._id.toString()] = (returned[orderItem._id.toString()] || 0) + quantity;
+      lines.push({
+        orderItem: orderItem._id,
+        product: orderItem.product,
+        variant: orderItem.variant,
+        quantity,
+        price: orderItem.price,
+        reason: line.reason,
+        comment: line.comment
+      });
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid return request',
+        errors
+      });
+    }
+
+    const returnRequest = new ReturnRequest({
+      order: order._id,
+      user: req.user.id,
+      items: lines,
+      statusHistory: [{ to: 'requested', changedBy: req.user.id }]
+    });
+
+    await returnRequest.save();
+
+    res.status(201).json({
+      success: true,
+      msg: 'Return requested successfully',
+      data: returnRequest
+    });
+  } catch (error) {
+    console.error('Create return error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = {};
+      Object.keys(error.errors).forEach(key => {
+        errors[key] = error.errors[key].message;
+      });
+
+      return res.status(400).json({
+        success: false,
+        msg: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error creating return',
+      error: error.message
+    });
+  }
+};
+
+// Get returns for one of the current user's orders
+exports.getOrderReturns = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.user.toString() !== req.user.id.toString()) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Order not found'
+      });
+    }
+
+    const returns = await ReturnRequest.find({ order: order._id })
+      .populate({ path: 'items.product', select: 'name', options: { withDeleted: true } })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: returns
+    });
+  } catch (error) {
+    console.error('Get order returns error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching returns',
+      error: error.message
+    });
+  }
+};
+
+// Get all return requests (admin)
+exports.getAllReturns = async (req, res) => {
+  try {
+    const { status, order, user } = req.query;
+
+    let query = {};
+
+    if (status) query.status = { $in: status.split(',') };
+    if (order) query.order = order;
+    if (user) query.user = user;
+
+    const { data: returns, pagination } = await paginate(
+      ReturnRequest.find(query)
+        .populate('user', 'name email')
+        .populate('order', 'orderNumber total refundedAmount'),
+      getPagination(req.query),
+      { createdAt: -1 }
+    );
+
+    res.json({
+      success: true,
+      data: returns,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get returns error:', error);
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching returns',
+      error: error.message
+    });
+  }
+};
+
+// Get single return request (admin)
+exports.getReturn = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber total refundedAmount paymentStatus orderStatus')
+      .populate({ path: 'items.product', select: 'name stock', options: { withDeleted: true } })
+      .populate('statusHistory.changedBy', 'name email');
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Return request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching return',
+      error: error.message
+    });
+  }
+};
+
+// Approve or reject a return request (admin)
+const decideReturn = (status) => async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        msg: 'Return request not found'
+      });
+    }
+
+    if (!returnRequest.transitionStatus(status, req.user.id, note)) {
+      return res.status(409).json({
+        success: false,
+        msg: `Cannot change return from ${returnRequest.status} to ${status}`
+      });
+    }
+
+    await returnRequest.save();
+
+    res.json({
+      success: true,
+      msg: `Return ${status} successfully`,
+      data: returnRequest
+    });
+  } catch (error) {
+    console.error('Update return error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error updating return',
+      error: error.message
+    });
+  }
+};
+
+exports.approveReturn = decideReturn('approved');
+exports.rejectReturn = decideReturn('rejected');
+
+// Refund an approved return, optionally putting the items back in stock (admin)
+exports.refundReturn = async (req, res) => {
+  const { amount, restock, note } = req.body || {};
+  let claimed = null;
+  let counted = null;
+  let refundedAtProvider = false;
+
+  try {
+    const existing = await ReturnRequest.findById(req.params.id);
+
+    if (!existing) {
+      throw httpError(404, 'Return request not found');
+    }
+
+    const refundAmount = roundPrice(amount !== undefined ? Number(amount) : existing.itemsTotal);
+    if (!(refundAmount > 0)) {
+      throw httpError(400, 'Refund amount must be greater than zero');
+    }
+
+    const order = await Order.findById(existing.order);
+    if (!order || order.paymentStatus !== 'paid') {
+      throw httpError(409, 'Only paid orders can be refunded');
+    }
+
+    const refundable = roundPrice(order.total - order.refundedAmount);
+    if (refundAmount > refundable) {
+      throw httpError(400, 'Refund exceeds the remaining order total', {
+        amount: `At most ${refundable} can still be refunded`
+      });
+    }
+
+    // Claim the return so a concurrent request cannot refund it twice
+    claimed = await ReturnRequest.findOneAndUpdate(
+      { _id: existing._id, status: 'approved', 'refund.amount': { $exists: false } },
+      { $set: { 'refund.amount': refundAmount } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw httpError(409, 'Return must be approved and not yet refunded');
+    }
+
+    // Count the refund against the order before any money moves, so refunds
+    // running at the same time cannot add up to more than the order total
+    // (half a cent of slack for rounding)
+    const orderBefore = snapshot(order);
+    counted = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        paymentStatus: 'paid',
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, { $add: ['$total', 0.005] }] }
+      },
+      { $inc: { refundedAmount: refundAmount } },
+      { new: true }
+    );
+
+    if (!counted) {
+      throw httpError(409, 'Refund exceeds the remaining order total', {
+        amount: 'Other refunds on this order leave less than this to refund'
+      });
+    }
+
+    let providerRefundId;
+    if (order.payment && order.payment.intentId) {
+      const provider = getProvider(order.payment.provider);
+      if (!provider) {
+        throw httpError(503, 'Payment provider is not configured');
+      }
+      const providerRefund = await provider.refund(order.payment.intentId, refundAmount);
+      providerRefundId = providerRefund.id;
+      refundedAtProvider = true;
+    }
+
+    const session = await mongoose.startSession();
+    let returnRequest;
+    let orderAfter;
+
+    try {
+      await session.withTransaction(async () => {
+        returnRequest = await ReturnRequest.findById(existing._id).session(session);
+        const currentOrder = await Order.findById(existing.order).session(session);
+
+        // Already counted above
+        currentOrder.refundedAmount = roundPrice(currentOrder.refundedAmount);
+        if (currentOrder.refundedAmount >= currentOrder.total) {
+          currentOrder.transitionStatus('paymentStatus', 'refunded', req.user.id, `Refund for ${returnRequest.rmaNumber}`);
+        }
+
+        const shouldRestock = restock === true || restock === 'true';
+        if (shouldRestock) {
+          await restockItems(returnRequest.items, {
+            type: 'return',
+            reason: `Return ${returnRequest.rmaNumber}`,
+            user: req.user.id,
+            order: currentOrder._id,
+            session
+          });
+        }
+
+        returnRequest.refund = {
+          amount: refundAmount,
+          providerRefundId,
+          restocked: shouldRestock,
+          refundedBy: req.user.id,
+          refundedAt: new Date()
+        };
+        returnRequest.transitionStatus('refunded', req.user.id, note);
+
+        await currentOrder.save({ session });
+        await returnRequest.save({ session });
+        orderAfter = currentOrder;
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await recordAudit(req, {
+      action: 'order.refund',
+      entityType: 'order',
+      entityId: existing.order,
+      before: orderBefore,
+      after: orderAfter,
+      note: `Refund of ${refundAmount} for ${returnRequest.rmaNumber}`
+    });
+
+    res.json({
+      success: true,
+      msg: 'Return refunded successfully',
+      data: returnRequest
+    });
+  } catch (error) {
+    console.error('Refund return error:', error);
+
+    // Release the claim unless money already moved; that case needs manual reconciliation
+    if (claimed && !refundedAtProvider) {
+      await ReturnRequest.updateOne(
+        { _id: claimed._id, status: 'approved' },
+        { $unset: { 'refund.amount': 1 } }
+      ).catch(() => {});
+    }
+    if (counted && !refundedAtProvider) {
+      await Order.updateOne(
+        { _id: counted._id },
+        { $inc: { refundedAmount: -claimed.refund.amount } }
+      ).catch(() => {});
+    }
+
+    if (sendHttpError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      msg: 'Error refunding return',
+      error: error.message
+    });
+  }
+};
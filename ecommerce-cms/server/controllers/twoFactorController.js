@@ -0,0 +1,227 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { revokeAllSessions } = require('../services/tokens');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  ISSUER,
+  encryptSecret,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  consumeTotpCode,
+  verifySecondFactor
+} = require('../services/twoFactor');
+
+const loadWithSecrets = (userId) => User.findById(userId)
+  .select('+password +twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes');
+
+// Get the current user's 2FA status
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: isTwoFactorRequired(user),
+        recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error fetching two-factor status',
+      error: error.message
+    });
+  }
+};
+
+// Start enrolment: create a secret for the authenticator app. 2FA is only
+// turned on once a code from the app is confirmed.
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+    res.json({
+      success: true,
+      msg: 'Scan the code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: ISSUER })
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error starting two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// Confirm enrolment with a code from the app. Returns the recovery codes
+// (shown only this once) and signs out every other session.
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await loadWithSecrets(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Two-factor setup has not been started'
+      });
+    }
+
+    if (!(await consumeTotpCode(user, code, { pending: true }))) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid code',
+        errors: { code: 'The code is invalid or has already been used' }
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': hashes
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    });
+
+    // Sessions started before enrolment never passed a second factor
+    await revokeAllSessions(user._id, '2fa_enabled', { except: req.user.sessionId });
+
+    res.json({
+      success: true,
+      msg: 'Two-factor authentication enabled',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Turn 2FA off; needs the password and a current code. Not allowed for
+// accounts that must use 2FA.
+exports.disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    const user = await loadWithSecrets(req.user.id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        msg: 'Two-factor authentication is required for staff accounts'
+      });
+    }
+
+    const passwordValid = password ? await bcrypt.compare(password, user.password) : false;
+    if (!passwordValid || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid password or code',
+        errors: {
+          password: !passwordValid ? 'Password is incorrect' : null,
+          code: passwordValid ? 'The code is invalid or has already been used' : null
+        }
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.recoveryCodes': '',
+        'twoFactor.lastUsedStep': ''
+      }
+    });
+
+    res.json({
+      success: true,
+      msg: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Replace all recovery codes after checking a current code
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await loadWithSecrets(req.user.id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        msg: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await consumeTotpCode(user, code))) {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid code',
+        errors: { code: 'The code is invalid or has already been used' }
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.json({
+      success: true,
+      msg: 'Recovery codes regenerated',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error regenerating recovery codes',
+      error: error.message
+    });
+  }
+};
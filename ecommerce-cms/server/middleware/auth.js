@@ -1,5 +1,30 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken, isSessionActive } = require('../services/tokens');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+
+// User details attached to the request. Staff who still have to enrol in 2FA
+// get no permissions until they do.
+const buildRequestUser = (user, sessionId) => {
+  const twoFactorSetupRequired = isTwoFactorRequired(user) && !user.twoFactor.enabled;
+
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    isAdmin: user.isAdmin && !twoFactorSetupRequired,
+    roles: user.roles,
+    permissions: twoFactorSetupRequired ? [] : user.permissions,
+    accountStatus: user.accountStatus,
+    twoFactorSetupRequired,
+    sessionId
+  };
+};
+
+const sendTwoFactorSetupRequired = (res) => res.status(403).json({ 
+  success: false,
+  msg: 'Access denied. Two-factor authentication required.',
+  errors: { twoFactor: 'Set up two-factor authentication to use staff features' }
+});
 
 // Middleware to verify JWT token
 const verifyToken = async (req, res, next) => {
@@ -36,10 +61,10 @@ const verifyToken = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     
     // Check if token has required fields
-    if (!decoded.id) {
+    if (!decoded.id || !decoded.sid) {
       return res.status(401).json({ 
         success: false,
         msg: 'Access denied. Invalid token payload.',
@@ -47,6 +72,15 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
+    // Check the session has not been logged out or revoked
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ 
+        success: false,
+        msg: 'Access denied. Session has been revoked.',
+        errors: { auth: 'Your session has ended. Please log in again.' }
+      });
+    }
+
     // Check if user still exists
     const user = await User.findById(decoded.id);
     if (!user) {
@@ -67,13 +101,7 @@ const verifyToken = async (req, res, next) => {
     }
 
     // Add user info to request object
-    req.user = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      isAdmin: user.isAdmin,
-      accountStatus: user.accountStatus
-    };
+    req.user = buildRequestUser(user, decoded.sid);
 
     next();
   } catch (error) {
@@ -104,7 +132,7 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
+// Middleware to check if user is staff (holds any permission)
 const verifyAdmin = (req, res, next) => {
   // This middleware should be used after verifyToken
   if (!req.user) {
@@ -115,7 +143,11 @@ const verifyAdmin = (req, res, next) => {
     });
   }
 
-  if (!req.user.isAdmin) {
+  if (req.user.twoFactorSetupRequired) {
+    return sendTwoFactorSetupRequired(res);
+  }
+
+  if (!req.user.permissions || req.user.permissions.length === 0) {
     return res.status(403).json({ 
       success: false,
       msg: 'Access denied. Admin privileges required.',
@@ -126,6 +158,33 @@ const verifyAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware factory requiring every listed permission, e.g. requirePermission('product:update')
+const requirePermission = (...permissions) => (req, res, next) => {
+  // This middleware should be used after verifyToken
+  if (!req.user) {
+    return res.status(401).json({ 
+      success: false,
+      msg: 'Access denied. Authentication required.',
+      errors: { auth: 'Please authenticate first' }
+    });
+  }
+
+  if (req.user.twoFactorSetupRequired) {
+    return sendTwoFactorSetupRequired(res);
+  }
+
+  const missing = permissions.filter(permission => !(req.user.permissions || []).includes(permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ 
+      success: false,
+      msg: 'Access denied. Missing permission.',
+      errors: { auth: `Requires permission: ${missing.join(', ')}` }
+    });
+  }
+
+  next();
+};
+
 // Middleware to check if user owns the resource or is admin
 const verifyOwnershipOrAdmin = (req, res, next) => {
   if (!req.user) {
@@ -136,8 +195,8 @@ const verifyOwnershipOrAdmin = (req, res, next) => {
     });
   }
 
-  // Allow if user is admin
-  if (req.user.isAdmin) {
+  // Allow if user can manage other accounts
+  if (req.user.permissions.includes('user:manage')) {
     return next();
   }
 
@@ -168,17 +227,11 @@ const optionalAuth = async (req, res, next) => {
       return next(); // Continue without user info
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     const user = await User.findById(decoded.id);
     
-    if (user && user.accountStatus === 'active') {
-      req.user = {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        isAdmin: user.isAdmin,
-        accountStatus: user.accountStatus
-      };
+    if (user && user.accountStatus === 'active' && await isSessionActive(decoded.sid)) {
+      req.user = buildRequestUser(user, decoded.sid);
     }
     
     next();
@@ -191,6 +244,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   verifyToken,
   verifyAdmin,
+  requirePermission,
   verifyOwnershipOrAdmin,
   optionalAuth
 };
@@ -0,0 +1,36 @@
+const Product = require('../models/Product');
+
+// Published products can only be changed by staff who may publish, so
+// changes by authors always go through review: an editor takes the product
+// back to draft, the author edits it and submits it again.
+// Use after verifyToken on routes with a product :id.
+const protectPublished = async (req, res, next) => {
+  try {
+    if ((req.user.permissions || []).includes('product:publish')) {
+      return next();
+    }
+
+    const product = await Product.findById(req.params.id, 'status');
+
+    if (product && product.status === 'published') {
+      return res.status(403).json({
+        success: false,
+        msg: 'Access denied. Published products need review to change.',
+        errors: { auth: 'Requires permission: product:publish' }
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Publish check error:', error);
+    res.status(500).json({
+      success: false,
+      msg: 'Error checking product status',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  protectPublished
+};
@@ -1,24 +1,9 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
+const { processUploadedImages } = require('../services/images');
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/'); // Store in uploads folder
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename: timestamp + original name
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Keep uploads in memory; they are written out through the storage driver
+// (local disk or S3) once their renditions have been generated
+const storage = multer.memoryStorage();
 
 // File filter to only allow images
 const fileFilter = (req, file, cb) => {
@@ -94,6 +79,68 @@ const handleMulterUpload = (req, res, next) => {
       });
     }
     
+    // Store every uploaded image with its thumbnails and responsive sizes
+    processUploadedImages(req.files || [])
+      .then(() => next())
+      .catch(error => {
+        res.status(error.status || 500).json({
+          success: false,
+          msg: error.status ? error.message : 'Image processing error',
+          error: error.status ? error.errors.images : error.message
+        });
+      });
+  });
+};
+
+// Catalog imports: a single CSV file in the "file" field, kept in memory
+//   IMPORT_MAX_MB=20
+const IMPORT_MAX_MB = parseInt(process.env.IMPORT_MAX_MB) || 20;
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype);
+    cb(isCsv ? null : new Error('Only CSV files are allowed!'), isCsv);
+  },
+  limits: {
+    fileSize: IMPORT_MAX_MB * 1024 * 1024,
+    files: 1
+  }
+}).single('file');
+
+const handleCsvUpload = (req, res, next) => {
+  csvUpload(req, res, function (err) {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          msg: 'File too large',
+          error: `File size must be less than ${IMPORT_MAX_MB}MB`
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        msg: 'File upload error',
+        error: err.message
+      });
+    }
+
+    if (err && err.message === 'Only CSV files are allowed!') {
+      return res.status(400).json({
+        success: false,
+        msg: 'Invalid file type',
+        error: 'Only CSV files are allowed'
+      });
+    }
+
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        msg: 'Upload error',
+        error: err.message
+      });
+    }
+
     next();
   });
 };
@@ -139,5 +186,6 @@ module.exports = {
   uploadSingle,
   uploadMultiple,
   handleUploadError,
-  handleMulterUpload
+  handleMulterUpload,
+  handleCsvUpload
 };
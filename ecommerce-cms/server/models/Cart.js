@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: undefined
+  },
+  token: {
+    type: String,
+    default: undefined
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.expiresAt;
+      return ret;
+    }
+  }
+});
+
+// A cart belongs to either a user or a guest token
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.token) {
+    this.invalidate('user', 'Cart must belong to a user or a guest token');
+  }
+  next();
+});
+
+// Guest carts expire after a period of inactivity
+cartSchema.pre('save', function(next) {
+  this.expiresAt = this.user
+    ? null
+    : new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+// Find the line for a product (and variant, for products that have them)
+cartSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+// Add quantity to a line, creating it if needed
+cartSchema.methods.addItem = function(productId, variantId, quantity) {
+  const line = this.findItem(productId, variantId);
+
+  if (line) {
+    line.quantity += quantity;
+  } else {
+    this.items.push({ product: productId, variant: variantId || null, quantity });
+  }
+};
+
+// Merge a guest cart into a user's cart, capping each line at available stock
+cartSchema.statics.mergeGuestCart = async function(token, userId) {
+  const guestCart = await this.findOne({ token, user: { $exists: false } });
+
+  if (!guestCart) {
+    return null;
+  }
+
+  let cart = await this.findOne({ user: userId });
+
+  if (!cart) {
+    cart = new this({ user: userId, items: [] });
+  }
+
+  const products = await Product.find({
+    _id: { $in: guestCart.items.map(item => item.product) },
+    isActive: true,
+    status: 'published'
+  });
+
+  guestCart.items.forEach(item => {
+    const product = products.find(p => p._id.equals(item.product));
+    if (!product) return;
+
+    const variant = product.getVariant(item.variant);
+    if (item.variant && (!variant || !variant.isActive)) return;
+
+    cart.addItem(item.product, item.variant, item.quantity);
+    const line = cart.findItem(item.product, item.variant);
+    line.quantity = Math.min(line.quantity, product.availableFor(variant));
+  });
+
+  cart.items = cart.items.filter(item => item.quantity > 0);
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
+// Indexes
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ token: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -20,6 +21,16 @@ const categorySchema = new mongoose.Schema({
     unique: true,
     lowercase: true
   },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Ids from the root down to the direct parent, kept in sync with `parent`
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -47,9 +58,104 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Build a validation error for the parent field
+const parentError = (doc, message) => {
+  const error = new mongoose.Error.ValidationError(doc);
+  error.addError('parent', new mongoose.Error.ValidatorError({ path: 'parent', message }));
+  return error;
+};
+
+// Derive ancestors from the parent and refuse to create cycles
+categorySchema.pre('save', async function() {
+  if (!this.isModified('parent')) {
+    return;
+  }
+
+  this.$locals.parentChanged = !this.isNew;
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parent);
+
+  if (!parent) {
+    throw parentError(this, 'Parent category not found');
+  }
+
+  if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+    throw parentError(this, 'A category cannot be moved under itself or one of its subcategories');
+  }
+
+  this.ancestors = parent.ancestors.concat(parent._id);
+});
+
+// Re-root the whole subtree after a category moves
+categorySchema.post('save', async function() {
+  if (!this.$locals.parentChanged) {
+    return;
+  }
+
+  this.$locals.parentChanged = false;
+  const descendants = await this.constructor.find({ ancestors: this._id });
+
+  if (descendants.length === 0) {
+    return;
+  }
+
+  const prefix = this.ancestors.concat(this._id);
+  await this.constructor.bulkWrite(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(this._id)) + 1);
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: prefix.concat(below) } }
+      }
+    };
+  }));
+});
+
+// Ids of a category and everything below it
+categorySchema.statics.getSubtreeIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }, '_id');
+  return [new mongoose.Types.ObjectId(categoryId)].concat(descendants.map(category => category._id));
+};
+
+// Ids of deactivated or deleted categories and everything below them, whose
+// products are hidden from the storefront
+categorySchema.statics.getHiddenIds = async function() {
+  const hidden = await this.find({ $or: [{ isActive: false }, { deletedAt: { $ne: null } }] }, '_id')
+    .setOptions({ withDeleted: true });
+
+  if (hidden.length === 0) {
+    return [];
+  }
+
+  const ids = hidden.map(category => category._id);
+  const descendants = await this.find({ ancestors: { $in: ids } }, '_id').setOptions({ withDeleted: true });
+  return ids.concat(descendants.map(category => category._id));
+};
+
+// Root-to-self path of a category for breadcrumbs
+categorySchema.methods.getBreadcrumbs = async function() {
+  const ancestors = await this.constructor.find({ _id: { $in: this.ancestors } }, 'name slug');
+  const byId = new Map(ancestors.map(category => [category._id.toString(), category]));
+
+  return this.ancestors
+    .map(id => byId.get(id.toString()))
+    .filter(Boolean)
+    .concat(this)
+    .map(category => ({ _id: category._id, name: category.name, slug: category.slug }));
+};
+
+categorySchema.plugin(softDelete);
+
 // Index for better performance
 categorySchema.index({ name: 1 });
 categorySchema.index({ slug: 1 });
 categorySchema.index({ isActive: 1 });
+categorySchema.index({ parent: 1 });
+categorySchema.index({ ancestors: 1 });
 
 module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const IMPORT_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// A catalog CSV import, processed in the background
+const importJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: IMPORT_STATUSES,
+    default: 'queued'
+  },
+  // Validate every row without writing anything
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  filename: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Row counts; in a dry run created/updated are what would happen
+  counts: {
+    rows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Row-level problems; `line` is the line number in the file
+  rowErrors: [{
+    _id: false,
+    line: Number,
+    field: String,
+    message: String
+  }],
+  // Set when there were more errors than are kept
+  rowErrorsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  failureReason: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+importJobSchema.statics.IMPORT_STATUSES = IMPORT_STATUSES;
+
+// Indexes
+importJobSchema.index({ createdAt: -1 });
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
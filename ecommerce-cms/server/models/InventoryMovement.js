@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['receipt', 'sale', 'return', 'cancellation', 'adjustment', 'reservation', 'release'];
+
+// Append-only log of every change to a product's on-hand and reserved stock
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  stockDelta: {
+    type: Number,
+    default: 0
+  },
+  reservedDelta: {
+    type: Number,
+    default: 0
+  },
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  reservedAfter: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockReservation',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Movements are never edited once written
+inventoryMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Inventory movements are append-only'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  inventoryMovementSchema.pre(operation, function(next) {
+    next(new Error('Inventory movements are append-only'));
+  });
+});
+
+inventoryMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+// Indexes
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ product: 1, variant: 1 });
+inventoryMovementSchema.index({ order: 1 });
+inventoryMovementSchema.index({ type: 1 });
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Failed-login counter for emails that have no account, so unknown emails
+// lock out exactly like real ones and responses don't reveal which exist
+const loginFailureSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes; stale counters are removed by MongoDB
+loginFailureSchema.index({ email: 1 }, { unique: true });
+loginFailureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginFailure', loginFailureSchema);
@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 
+// Allowed status transitions; anything not listed here is rejected on save
+const STATUS_TRANSITIONS = {
+  orderStatus: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+  },
+  paymentStatus: {
+    pending: ['paid', 'failed'],
+    failed: ['pending', 'paid'],
+    paid: ['refunded'],
+    refunded: []
+  }
+};
+
+// Check whether a status field may move from one value to another
+const canTransition = (field, from, to) => {
+  const allowed = STATUS_TRANSITIONS[field] && STATUS_TRANSITIONS[field][from];
+  return !!allowed && allowed.includes(to);
+};
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -17,6 +41,21 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Product name at the time of ordering
+    name: {
+      type: String
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    sku: {
+      type: String
+    },
+    attributes: {
+      type: Map,
+      of: String
+    },
     quantity: {
       type: Number,
       required: true,
@@ -51,6 +90,13 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'failed', 'refunded'],
     default: 'pending'
   },
+  payment: {
+    provider: { type: String },
+    intentId: { type: String },
+    amount: { type: Number },
+    currency: { type: String },
+    paidAt: { type: Date }
+  },
   orderStatus: {
     type: String,
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
@@ -72,10 +118,41 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   notes: {
     type: String,
     maxlength: 500
-  }
+  },
+  statusHistory: [{
+    field: {
+      type: String,
+      enum: Object.keys(STATUS_TRANSITIONS),
+      required: true
+    },
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: 500
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: {
@@ -86,18 +163,59 @@ const orderSchema = new mongoose.Schema({
   }
 });
 
-// Generate order number before saving
-orderSchema.pre('save', function(next) {
-  if (this.isNew) {
+// Generate order number before validation so the required check passes
+orderSchema.pre('validate', function(next) {
+  if (this.isNew && !this.orderNumber) {
     this.orderNumber = 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
   }
   next();
 });
 
+// Remember persisted statuses so transitions can be checked on save
+orderSchema.post('init', function() {
+  this.$locals.persistedStatus = {
+    orderStatus: this.orderStatus,
+    paymentStatus: this.paymentStatus
+  };
+});
+
+// Reject status changes that skip or reverse the lifecycle
+orderSchema.pre('validate', function(next) {
+  if (!this.isNew) {
+    const persisted = this.$locals.persistedStatus || {};
+
+    Object.keys(STATUS_TRANSITIONS).forEach(field => {
+      const from = persisted[field];
+      if (this.isModified(field) && from !== this[field] && !canTransition(field, from, this[field])) {
+        this.invalidate(field, `Cannot change ${field} from ${from} to ${this[field]}`);
+      }
+    });
+  }
+  next();
+});
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.canTransition = canTransition;
+
+// Move a status field forward and record who did it
+orderSchema.methods.transitionStatus = function(field, to, changedBy, note) {
+  const from = this[field];
+
+  if (!canTransition(field, from, to)) {
+    return false;
+  }
+
+  this[field] = to;
+  this.statusHistory.push({ field, from, to, changedBy, note });
+  return true;
+};
+
 // Indexes
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ user: 1 });
 orderSchema.index({ orderStatus: 1 });
+orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ 'payment.intentId': 1 }, { sparse: true });
 orderSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Webhook events already applied, so redelivered events are ignored
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  result: {
+    type: String,
+    // rejected: the amount or currency did not match the order's payment
+    enum: ['applied', 'ignored', 'rejected'],
+    default: 'applied'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ order: 1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
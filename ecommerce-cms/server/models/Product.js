@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// Most images a product can have in total; the first one is the primary image
+const MAX_IMAGES = 5;
+
+// Publishing workflow. Only published products are shown in the storefront;
+// the rest can be previewed by staff.
+const STATUS_TRANSITIONS = {
+  draft: ['in_review', 'published'],
+  in_review: ['draft', 'published'],
+  published: ['draft', 'archived'],
+  archived: ['draft', 'published']
+};
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Check whether the publishing status may move from one value to another
+const canTransition = (from, to) => !!STATUS_TRANSITIONS[from] && STATUS_TRANSITIONS[from].includes(to);
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -31,36 +48,142 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
-  images: [{
-    filename: {
+  reserved: {
+    type: Number,
+    min: [0, 'Reserved stock cannot be negative'],
+    default: 0
+  },
+  images: {
+    type: [{
+      filename: {
+        type: String,
+        required: false
+      },
+      // Storage key and stable URL; path is only set for files on local disk
+      key: {
+        type: String,
+        required: false
+      },
+      url: {
+        type: String,
+        required: false
+      },
+      originalName: {
+        type: String,
+        required: false
+      },
+      path: {
+        type: String,
+        required: false
+      },
+      size: {
+        type: Number,
+        required: false
+      },
+      mimetype: {
+        type: String,
+        required: false
+      },
+      // Resized copies (thumb, medium, large...) in the original and a modern format
+      renditions: [{
+        _id: false,
+        name: { type: String, required: true },
+        format: { type: String, required: true },
+        width: { type: Number },
+        height: { type: Number },
+        key: { type: String },
+        url: { type: String },
+        path: { type: String },
+        size: { type: Number }
+      }],
+      alt: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Alt text cannot exceed 200 characters']
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    validate: {
+      validator: images => images.length <= MAX_IMAGES,
+      message: `A product can have at most ${MAX_IMAGES} images`
+    }
+  },
+  // Option axes such as size or color, each with its allowed values
+  options: [{
+    _id: false,
+    name: {
       type: String,
-      required: false
+      required: [true, 'Option name is required'],
+      trim: true,
+      lowercase: true
     },
-    originalName: {
+    values: [{
       type: String,
-      required: false
-    },
-    path: {
+      trim: true
+    }]
+  }],
+  // Sellable SKUs; when present, product stock/reserved are the sums over variants
+  variants: [{
+    sku: {
       type: String,
-      required: false
+      required: [true, 'Variant SKU is required'],
+      trim: true,
+      uppercase: true
     },
-    size: {
+    attributes: {
+      type: Map,
+      of: String,
+      default: {}
+    },
+    price: {
       type: Number,
-      required: false
+      min: [0, 'Price cannot be negative'],
+      default: null
     },
-    mimetype: {
-      type: String,
-      required: false
+    stock: {
+      type: Number,
+      min: [0, 'Stock cannot be negative'],
+      default: 0
+    },
+    reserved: {
+      type: Number,
+      min: [0, 'Reserved stock cannot be negative'],
+      default: 0
     },
-    uploadedAt: {
-      type: Date,
-      default: Date.now
+    // Ids of entries in the product's images array
+    images: [{
+      type: mongoose.Schema.Types.ObjectId
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
     }
   }],
   isActive: {
     type: Boolean,
     default: true
   },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Scheduled publishing, carried out by the publish scheduler
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -76,11 +199,228 @@ const productSchema = new mongoose.Schema({
   }
 });
 
+// Variants must use declared option values and be unique by SKU and attributes
+productSchema.pre('validate', function(next) {
+  const skus = new Set();
+  const combinations = new Set();
+
+  this.variants.forEach((variant, index) => {
+    if (skus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `Duplicate SKU ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+
+    const attributes = Array.from(variant.attributes || new Map());
+    attributes.forEach(([name, value]) => {
+      const option = this.options.find(o => o.name === name);
+      if (!option) {
+        this.invalidate(`variants.${index}.attributes`, `Unknown option ${name}`);
+      } else if (option.values.length > 0 && !option.values.includes(value)) {
+        this.invalidate(`variants.${index}.attributes`, `Invalid value ${value} for option ${name}`);
+      }
+    });
+
+    const key = attributes.sort(([a], [b]) => a.localeCompare(b)).map(([name, value]) => `${name}=${value}`).join('&');
+    if (combinations.has(key)) {
+      this.invalidate(`variants.${index}.attributes`, 'Another variant already has these attributes');
+    }
+    combinations.add(key);
+  });
+
+  next();
+});
+
+// Scheduled unpublishing must come after scheduled publishing
+productSchema.pre('validate', function(next) {
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'unpublishAt must be later than publishAt');
+  }
+  next();
+});
+
+// The category must exist (and not be in the trash) and be active
+productSchema.pre('validate', async function() {
+  if (!this.isModified('category') || !this.category) {
+    return;
+  }
+
+  const category = await mongoose.model('Category').findById(this.category, 'isActive');
+
+  if (!category) {
+    this.invalidate('category', 'Category not found');
+  } else if (!category.isActive) {
+    this.invalidate('category', 'Category is inactive');
+  }
+});
+
+// Find a variant by id
+productSchema.methods.getVariant = function(variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
+
+// Price of the product or of one of its variants
+productSchema.methods.priceFor = function(variant) {
+  return variant && variant.price !== null && variant.price !== undefined ? variant.price : this.price;
+};
+
+// Whether shoppers can see and buy the product
+productSchema.methods.isVisible = function() {
+  return this.status === 'published' && this.isActive && !this.deletedAt;
+};
+
+// Move the publishing status; returns false if the move is not allowed.
+// Publishing stamps publishedAt and ends any pending schedule for it;
+// taking a product down by hand cancels its scheduled unpublish.
+productSchema.methods.transitionStatus = function(to) {
+  if (!canTransition(this.status, to)) {
+    return false;
+  }
+
+  if (to === 'published') {
+    this.publishedAt = new Date();
+    this.publishAt = null;
+  } else if (this.status === 'published') {
+    this.unpublishAt = null;
+  }
+
+  this.status = to;
+  return true;
+};
+
+// Units not held by reservations, for the product or one of its variants
+productSchema.methods.availableFor = function(variant) {
+  const source = variant || this;
+  return source.stock - (source.reserved || 0);
+};
+
+// Filters that get their own facet; each facet ignores its own filter so the
+// sidebar still shows the other choices (e.g. every category while one is picked)
+const FACET_FILTERS = { categories: 'category', price: 'price', attributes: 'variants' };
+
+// Counts per category, price bucket, stock availability and variant attribute
+// value for a listing query, in a single aggregation
+productSchema.statics.getFacets = async function(query, { priceBuckets = [0, 25, 50, 100, 250, 500] } = {}) {
+  const conditions = this.find(query).cast();
+  const dimensions = Object.values(FACET_FILTERS);
+
+  // Everything except the faceted filters (incl. $text, which must come first)
+  const base = {};
+  Object.keys(conditions).forEach(key => {
+    if (!dimensions.includes(key)) base[key] = conditions[key];
+  });
+
+  const matchExcept = (facet) => {
+    const match = {};
+    dimensions.forEach(key => {
+      if (key !== FACET_FILTERS[facet] && conditions[key] !== undefined) match[key] = conditions[key];
+    });
+    return { $match: match };
+  };
+
+  const [result] = await this.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        categories: [
+          matchExcept('categories'),
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: '$category' },
+          { $match: { 'category.deletedAt': null } },
+          { $project: { _id: 0, category: '$category._id', name: '$category.name', slug: '$category.slug', count: 1 } },
+          { $sort: { count: -1, name: 1 } }
+        ],
+        price: [
+          matchExcept('price'),
+          // The last bucket is open-ended; prices below the first boundary are not counted
+          { $match: { price: { $gte: priceBuckets[0] } } },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: priceBuckets,
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        availability: [
+          matchExcept(),
+          {
+            $group: {
+              _id: { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, 0] },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        attributes: [
+          matchExcept('attributes'),
+          { $unwind: '$variants' },
+          { $match: { 'variants.isActive': true } },
+          { $project: { attribute: { $objectToArray: '$variants.attributes' } } },
+          { $unwind: '$attribute' },
+          { $group: { _id: { name: '$attribute.k', value: '$attribute.v' }, products: { $addToSet: '$_id' } } },
+          { $project: { _id: 0, name: '$_id.name', value: '$_id.value', count: { $size: '$products' } } },
+          { $sort: { name: 1, value: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const last = priceBuckets[priceBuckets.length - 1];
+  const availability = { inStock: 0, outOfStock: 0 };
+  result.availability.forEach(row => {
+    availability[row._id ? 'inStock' : 'outOfStock'] = row.count;
+  });
+
+  const attributes = {};
+  result.attributes.forEach(({ name, value, count }) => {
+    (attributes[name] = attributes[name] || []).push({ value, count });
+  });
+
+  return {
+    categories: result.categories,
+    price: result.price.map(bucket => bucket._id === 'above'
+      ? { min: last, max: null, count: bucket.count }
+      : { min: bucket._id, max: priceBuckets[priceBuckets.indexOf(bucket._id) + 1], count: bucket.count }),
+    availability,
+    attributes
+  };
+};
+
+productSchema.statics.MAX_IMAGES = MAX_IMAGES;
+productSchema.statics.STATUSES = STATUSES;
+productSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+productSchema.statics.canTransition = canTransition;
+
+// Products from before the publishing workflow were live; mark them
+// published (no-op once done)
+productSchema.statics.migratePublishStatus = async function() {
+  const result = await this.collection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'published' } }
+  );
+  return result.modifiedCount;
+};
+
 // Index for better query performance
+productSchema.plugin(softDelete);
+
 productSchema.index({ name: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ isActive: 1 });
+productSchema.index({ status: 1 });
+productSchema.index({ publishAt: 1 });
+productSchema.index({ unpublishAt: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index(
+  { name: 'text', description: 'text', 'variants.sku': 'text' },
+  {
+    name: 'product_text_search',
+    weights: { name: 10, 'variants.sku': 5, description: 2 },
+    default_language: 'english'
+  }
+);
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
 
 module.exports = mongoose.model('Product', productSchema);
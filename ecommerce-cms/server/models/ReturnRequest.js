@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { roundPrice } = require('../utils/values');
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Allowed return status transitions
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    price: {
+      type: Number,
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: RETURN_REASONS,
+      required: [true, 'Return reason is required']
+    },
+    comment: {
+      type: String,
+      maxlength: 500
+    }
+  }],
+  status: {
+    type: String,
+    enum: Object.keys(RETURN_TRANSITIONS),
+    default: 'requested'
+  },
+  refund: {
+    amount: { type: Number, min: 0 },
+    providerRefundId: { type: String },
+    restocked: { type: Boolean, default: false },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    refundedAt: { type: Date }
+  },
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String, maxlength: 500 },
+    changedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Generate RMA number before validation so the required check passes
+returnRequestSchema.pre('validate', function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    this.rmaNumber = 'RMA-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6).toUpperCase();
+  }
+  next();
+});
+
+// Value of the returned lines at the price paid
+returnRequestSchema.virtual('itemsTotal').get(function() {
+  return roundPrice(this.items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+});
+
+// Move the return to a new status and record who did it
+returnRequestSchema.methods.transitionStatus = function(to, changedBy, note) {
+  const from = this.status;
+
+  if (!RETURN_TRANSITIONS[from].includes(to)) {
+    return false;
+  }
+
+  this.status = to;
+  this.statusHistory.push({ from, to, changedBy, note });
+  return true;
+};
+
+returnRequestSchema.statics.RETURN_REASONS = RETURN_REASONS;
+
+// Indexes
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1 });
+returnRequestSchema.index({ status: 1 });
+returnRequestSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Stock held for a user during checkout; released automatically once expired
+const stockReservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ user: 1, status: 1 });
+stockReservationSchema.index({ product: 1, status: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
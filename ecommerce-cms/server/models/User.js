@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLE_NAMES, permissionsFor } = require('../utils/roles');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -22,15 +23,26 @@ const userSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters'],
     select: false, // Don't include password in queries by default
   },
-  isAdmin: {
-    type: Boolean,
-    default: false, // More secure default
+  roles: {
+    type: [{
+      type: String,
+      enum: { values: ROLE_NAMES, message: 'Unknown role {VALUE}' }
+    }],
+    default: ['customer'], // More secure default
+    validate: {
+      validator: roles => roles.length > 0,
+      message: 'A user needs at least one role'
+    }
   },
   accountStatus: {
     type: String,
     enum: ['active', 'suspended', 'pending'],
     default: 'active'
   },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -39,9 +51,43 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
   lockUntil: {
     type: Date,
     default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    // Encrypted TOTP secrets; pendingSecret holds an enrolment not yet confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: undefined,
+      select: false
+    },
+    // Last TOTP time step accepted, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
   }
 }, { 
   timestamps: true,
@@ -49,6 +95,9 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       delete ret.password;
       delete ret.__v;
+      if (ret.twoFactor) {
+        ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+      }
       return ret;
     }
   }
@@ -63,6 +112,43 @@ userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Permissions granted by the user's roles
+userSchema.virtual('permissions').get(function() {
+  return permissionsFor(this.roles);
+});
+
+// Owners have full access; kept for clients that still read isAdmin
+userSchema.virtual('isAdmin').get(function() {
+  return this.roles.includes('owner');
+});
+
+// Staff are users with any permission beyond shopping
+userSchema.virtual('isStaff').get(function() {
+  return this.permissions.length > 0;
+});
+
+userSchema.methods.hasPermission = function(permission) {
+  return this.permissions.includes(permission);
+};
+
+// One-off migration from the old isAdmin flag: admins become owners and
+// everyone else customers. Safe to run repeatedly.
+userSchema.statics.migrateAdminRoles = async function() {
+  const owners = await this.collection.updateMany(
+    { isAdmin: true, roles: { $exists: false } },
+    { $set: { roles: ['owner'] } }
+  );
+  const customers = await this.collection.updateMany(
+    { roles: { $exists: false } },
+    { $set: { roles: ['customer'] } }
+  );
+  await this.collection.updateMany({ isAdmin: { $exists: true } }, { $unset: { isAdmin: '' } });
+
+  return { owners: owners.modifiedCount, customers: customers.modifiedCount };
+};
+
+userSchema.index({ roles: 1 });
+
 // Pre-save middleware to handle password hashing if needed
 userSchema.pre('save', function(next) {
   // Update lastLogin if this is a login operation
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Soft deletion: documents get a deletedAt/deletedBy pair instead of being
+// removed, and reads leave them out automatically. A query sees deleted
+// documents only when it asks for them, either with the `withDeleted` option
+//   Product.find().setOptions({ withDeleted: true })
+//   .populate({ path: 'items.product', options: { withDeleted: true } })
+// or by filtering on deletedAt itself (e.g. the trash listing).
+// Writes are not filtered so stock and reservation bookkeeping keeps working.
+
+const READ_OPERATIONS = ['find', 'findOne', 'countDocuments', 'distinct'];
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  READ_OPERATIONS.forEach(operation => {
+    schema.pre(operation, function() {
+      if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+        return;
+      }
+      this.where({ deletedAt: null });
+    });
+  });
+
+  // Added to the first $match so a leading $text stage stays first. Pipelines
+  // that match on deletedAt themselves are left alone.
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    if (pipeline.length > 0 && pipeline[0].$match) {
+      if (pipeline[0].$match.deletedAt === undefined) {
+        pipeline[0].$match.deletedAt = null;
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.virtual('isDeleted').get(function() {
+    return !!this.deletedAt;
+  });
+
+  // Move a document to the trash
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId || null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Take a document out of the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+
+  // Find a document in the trash by id
+  schema.statics.findDeletedById = function(id) {
+    return this.findOne({ _id: id, deletedAt: { $ne: null } });
+  };
+};
@@ -3,18 +3,78 @@ const router = express.Router();
 const {
   getDashboardStats,
   getAllUsers,
-  updateUserRole
+  getRoles,
+  updateUserRole,
+  unlockUser,
+  resetTwoFactor,
+  getAllOrders,
+  getOrderDetails,
+  updateOrderStatus
 } = require('../controllers/adminController');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const {
+  getAllReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  refundReturn
+} = require('../controllers/returnController');
+const {
+  getMovements,
+  createMovement,
+  getReservations,
+  cancelReservation,
+  reconcile
+} = require('../controllers/inventoryController');
+const { getAuditLogs } = require('../controllers/auditController');
+const {
+  importProducts,
+  getImportJob,
+  exportProducts,
+  bulkUpdateProducts
+} = require('../controllers/catalogController');
+const { verifyToken, verifyAdmin, requirePermission } = require('../middleware/auth');
+const { handleCsvUpload } = require('../middleware/upload');
 
-// All admin routes require authentication and admin privileges
+// All admin routes require authentication and a staff role; each route
+// then checks its own permission
 router.use(verifyToken, verifyAdmin);
 
 // Dashboard
-router.get('/dashboard', getDashboardStats);
+router.get('/dashboard', requirePermission('dashboard:read'), getDashboardStats);
 
 // User management
-router.get('/users', getAllUsers);
-router.put('/users/:id', updateUserRole);
+router.get('/roles', requirePermission('user:read'), getRoles);
+router.get('/users', requirePermission('user:read'), getAllUsers);
+router.put('/users/:id', requirePermission('user:manage'), updateUserRole);
+router.post('/users/:id/unlock', requirePermission('user:manage'), unlockUser);
+router.post('/users/:id/reset-2fa', requirePermission('user:manage'), resetTwoFactor);
+
+// Order management
+router.get('/orders', requirePermission('order:read'), getAllOrders);
+router.get('/orders/:id', requirePermission('order:read'), getOrderDetails);
+router.put('/orders/:id/status', requirePermission('order:update'), updateOrderStatus);
+
+// Returns and refunds
+router.get('/returns', requirePermission('return:read'), getAllReturns);
+router.get('/returns/:id', requirePermission('return:read'), getReturn);
+router.put('/returns/:id/approve', requirePermission('return:manage'), approveReturn);
+router.put('/returns/:id/reject', requirePermission('return:manage'), rejectReturn);
+router.post('/returns/:id/refund', requirePermission('return:refund'), refundReturn);
+
+// Inventory ledger
+router.get('/inventory/reservations', requirePermission('inventory:read'), getReservations);
+router.delete('/inventory/reservations/:id', requirePermission('inventory:write'), cancelReservation);
+router.post('/inventory/reconcile', requirePermission('inventory:write'), reconcile);
+router.get('/inventory/:productId/movements', requirePermission('inventory:read'), getMovements);
+router.post('/inventory/:productId/movements', requirePermission('inventory:write'), createMovement);
+
+// Catalog import, export and bulk changes
+router.post('/products/import', requirePermission('product:create', 'product:update'), handleCsvUpload, importProducts);
+router.get('/products/import/:id', requirePermission('product:create', 'product:update'), getImportJob);
+router.get('/products/export', requirePermission('product:update'), exportProducts);
+router.post('/products/bulk', requirePermission('product:update'), bulkUpdateProducts);
+
+// Audit trail
+router.get('/audit', requirePermission('audit:read'), getAuditLogs);
 
 module.exports = router;
@@ -1,14 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, logout } = require('../controllers/authController');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactor
+} = require('../controllers/authController');
+const {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
 const { verifyToken, verifyAdmin } = require('../middleware/auth');
 
 // Public routes - NO authentication required
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/2fa/verify', verifyTwoFactor);
 
 // Protected routes - authentication required
 router.post('/logout', verifyToken, logout);
+router.post('/logout-all', verifyToken, logoutAll);
+
+// Two-factor enrolment for the signed-in user
+router.get('/2fa', verifyToken, getStatus);
+router.post('/2fa/setup', verifyToken, setup);
+router.post('/2fa/enable', verifyToken, enable);
+router.post('/2fa/disable', verifyToken, disable);
+router.post('/2fa/recovery-codes', verifyToken, regenerateRecoveryCodes);
 
 router.get('/profile', verifyToken, (req, res) => {
   res.json({
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  reserveCart
+} = require('../controllers/cartController');
+const { optionalAuth } = require('../middleware/auth');
+
+// Cart routes work for logged-in users and for guests with an X-Cart-Token header
+router.use(optionalAuth);
+
+router.get('/', getCart);
+router.delete('/', clearCart);
+router.post('/items', addItem);
+router.put('/items/:productId', updateItem);
+router.delete('/items/:productId', removeItem);
+router.post('/reserve', reserveCart);
+
+module.exports = router;
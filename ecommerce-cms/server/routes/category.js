@@ -2,20 +2,32 @@ const express = require('express');
 const router = express.Router();
 const {
   getAllCategories,
+  getCategoryTree,
+  getBreadcrumbs,
   getCategory,
   createCategory,
   updateCategory,
-  deleteCategory
+  deleteCategory,
+  getTrash,
+  restoreCategory,
+  purgeCategory
 } = require('../controllers/categoryController');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+
+// Trash (registered before /:id so "trash" is not taken for an id)
+router.get('/trash', verifyToken, requirePermission('category:delete'), getTrash);
+router.post('/:id/restore', verifyToken, requirePermission('category:delete'), restoreCategory);
+router.delete('/:id/purge', verifyToken, requirePermission('category:delete'), purgeCategory);
 
 // Public routes
 router.get('/', getAllCategories);
+router.get('/tree', getCategoryTree);
 router.get('/:id', getCategory);
+router.get('/:id/breadcrumbs', getBreadcrumbs);
 
-// Protected routes - Admin only
-router.post('/', verifyToken, verifyAdmin, createCategory);
-router.put('/:id', verifyToken, verifyAdmin, updateCategory);
-router.delete('/:id', verifyToken, verifyAdmin, deleteCategory);
+// Protected routes - permission required
+router.post('/', verifyToken, requirePermission('category:create'), createCategory);
+router.put('/:id', verifyToken, requirePermission('category:update'), updateCategory);
+router.delete('/:id', verifyToken, requirePermission('category:delete'), deleteCategory);
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getFile } = require('../controllers/fileController');
+
+// Stable file URLs that redirect to the storage driver's current URL
+router.get('/:key', getFile);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createOrder,
+  getMyOrders,
+  getOrder
+} = require('../controllers/orderController');
+const { createPaymentIntent } = require('../controllers/paymentController');
+const { createReturn, getOrderReturns } = require('../controllers/returnController');
+const { verifyToken } = require('../middleware/auth');
+
+// All order routes require authentication
+router.use(verifyToken);
+
+router.post('/', createOrder);
+router.get('/', getMyOrders);
+router.get('/:id', getOrder);
+router.post('/:id/payment', createPaymentIntent);
+router.post('/:id/returns', createReturn);
+router.get('/:id/returns', getOrderReturns);
+
+module.exports = router;
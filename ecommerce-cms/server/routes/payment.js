@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  handleWebhook,
+  simulateMockPayment
+} = require('../controllers/paymentController');
+const { verifyToken } = require('../middleware/auth');
+
+// Provider webhooks - authenticated by signature, not by token
+router.post('/webhook/:provider', handleWebhook);
+
+// Sandbox helper to complete or fail a mock payment without a real gateway
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/mock/orders/:id/simulate', verifyToken, simulateMockPayment);
+}
+
+module.exports = router;
@@ -5,13 +5,26 @@ const {
   getProduct, 
   createProduct, 
   updateProduct, 
-  deleteProduct 
+  deleteProduct,
+  updateProductStatus,
+  scheduleProduct,
+  getTrash,
+  restoreProduct,
+  purgeProduct,
+  addVariant,
+  updateVariant,
+  deleteVariant,
+  addImages,
+  updateImage,
+  reorderImages,
+  deleteImage
 } = require('../controllers/productController');
-const { verifyToken, verifyAdmin } = require('../middleware/auth');
+const { verifyToken, optionalAuth, requirePermission } = require('../middleware/auth');
 const { handleMulterUpload } = require('../middleware/upload');
+const { protectPublished } = require('../middleware/publishing');
 
 // Test route to debug form-data
-router.post('/test', verifyToken, handleMulterUpload, (req, res) => {
+router.post('/test', verifyToken, requirePermission('product:create'), handleMulterUpload, (req, res) => {
   console.log('Test route - Body:', req.body);
   console.log('Test route - Files:', req.files);
   res.json({
@@ -26,13 +39,33 @@ router.post('/test', verifyToken, handleMulterUpload, (req, res) => {
   });
 });
 
-// Public routes - no authentication required
-router.get('/', getAllProducts);
-router.get('/:id', getProduct);
+// Trash (registered before /:id so "trash" is not taken for an id)
+router.get('/trash', verifyToken, requirePermission('product:delete'), getTrash);
+router.post('/:id/restore', verifyToken, requirePermission('product:delete'), restoreProduct);
+router.delete('/:id/purge', verifyToken, requirePermission('product:delete'), purgeProduct);
 
-// Protected routes - authentication required
-router.post('/', verifyToken, handleMulterUpload, createProduct);
-router.put('/:id', verifyToken, handleMulterUpload, updateProduct);
-router.delete('/:id', verifyToken, deleteProduct);
+// Public routes - signed-in staff also see unpublished products (previews)
+router.get('/', optionalAuth, getAllProducts);
+router.get('/:id', optionalAuth, getProduct);
+
+// Protected routes - permission required (checked before any upload is stored)
+router.post('/', verifyToken, requirePermission('product:create'), handleMulterUpload, createProduct);
+router.put('/:id', verifyToken, requirePermission('product:update'), protectPublished, handleMulterUpload, updateProduct);
+router.delete('/:id', verifyToken, requirePermission('product:delete'), deleteProduct);
+
+// Publishing workflow
+router.put('/:id/status', verifyToken, requirePermission('product:update'), updateProductStatus);
+router.put('/:id/schedule', verifyToken, requirePermission('product:publish'), scheduleProduct);
+
+// Variants
+router.post('/:id/variants', verifyToken, requirePermission('product:update'), protectPublished, handleMulterUpload, addVariant);
+router.put('/:id/variants/:variantId', verifyToken, requirePermission('product:update'), protectPublished, updateVariant);
+router.delete('/:id/variants/:variantId', verifyToken, requirePermission('product:update'), protectPublished, deleteVariant);
+
+// Images
+router.post('/:id/images', verifyToken, requirePermission('product:update'), protectPublished, handleMulterUpload, addImages);
+router.put('/:id/images/order', verifyToken, requirePermission('product:update'), protectPublished, reorderImages);
+router.put('/:id/images/:imageId', verifyToken, requirePermission('product:update'), protectPublished, updateImage);
+router.delete('/:id/images/:imageId', verifyToken, requirePermission('product:update'), protectPublished, deleteImage);
 
 module.exports = router;
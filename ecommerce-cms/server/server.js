@@ -2,6 +2,13 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
+const { startReservationSweeper } = require('./services/inventory');
+const { startTrashSweeper } = require('./services/trash');
+const { failInterruptedImports } = require('./services/catalogCsv');
+const { startPublishScheduler } = require('./services/publishing');
+const { getStorage } = require('./services/storage');
+const User = require('./models/User');
+const Product = require('./models/Product');
 
 const app = express();
 
@@ -11,26 +18,42 @@ app.use(cors({
   credentials: true
 }));
 
-// Body parsing middleware with size limits
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware with size limits; the raw body is kept for webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Trust proxy for rate limiting
 app.set('trust proxy', 1);
 
-// Static files
-app.use('/uploads', express.static('uploads'));
+// Uploaded files; only the local storage driver serves them from this instance
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use(storage.publicPath, express.static(storage.directory));
+}
 
 // Routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/product');
 const categoryRoutes = require('./routes/category');
 const adminRoutes = require('./routes/admin');
+const orderRoutes = require('./routes/order');
+const cartRoutes = require('./routes/cart');
+const paymentRoutes = require('./routes/payment');
+const fileRoutes = require('./routes/file');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -64,8 +87,38 @@ const PORT = process.env.PORT || 5000;
 
 // MongoDB connection
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => {
+  .then(async () => {
     console.log('MongoDB connected successfully');
+
+    // Move accounts from the old isAdmin flag to roles (no-op once done).
+    // Awaited so admins never load with the default customer role.
+    try {
+      const { owners, customers } = await User.migrateAdminRoles();
+      if (owners || customers) {
+        console.log(`Migrated user roles: ${owners} owner(s), ${customers} customer(s)`);
+      }
+    } catch (error) {
+      console.error('Role migration error:', error);
+    }
+
+    // Products from before the publishing workflow stay live (no-op once
+    // done). Awaited so the storefront never sees them as drafts.
+    try {
+      const count = await Product.migratePublishStatus();
+      if (count) {
+        console.log(`Marked ${count} existing product(s) as published`);
+      }
+    } catch (error) {
+      console.error('Publish status migration error:', error);
+    }
+
+    // Imports run in memory and do not survive a restart
+    failInterruptedImports()
+      .catch(error => console.error('Import cleanup error:', error));
+
+    startReservationSweeper();
+    startTrashSweeper();
+    startPublishScheduler();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+// Single-use, expiring email tokens
+//   EMAIL_VERIFICATION_TTL_HOURS=24
+//   PASSWORD_RESET_TTL_MINUTES=60
+
+const TOKEN_TTL_MS = {
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000
+};
+
+// Minimum time between two emails of the same type to one user
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a token, invalidating any earlier unused ones of the same type.
+// Returns null if one was issued too recently.
+const createAccountToken = async (userId, type) => {
+  const recent = await UserToken.exists({
+    user: userId,
+    type,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) }
+  });
+
+  if (recent) {
+    return null;
+  }
+
+  await UserToken.updateMany({ user: userId, type, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+  });
+
+  return token;
+};
+
+// Use up a token; returns the user id, or null if the token is unknown,
+// expired or already used
+const consumeAccountToken = async (token, type) => {
+  const record = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  return record ? record.user : null;
+};
+
+module.exports = {
+  TOKEN_TTL_MS,
+  createAccountToken,
+  consumeAccountToken
+};
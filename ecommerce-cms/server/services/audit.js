@@ -0,0 +1,84 @@
+const AuditLog = require('../models/AuditLog');
+
+// Audit trail of administrative and catalog changes. Callers pass the
+// entity before and after the change (documents or plain objects, null for
+// creates and deletes) and only the fields that differ are stored.
+// Recording is best effort: a failure is logged and never fails the request.
+
+// Bookkeeping fields that change on every write
+const IGNORED_PATHS = ['__v', 'updatedAt'];
+
+// Plain JSON copy of a document, using the model's toJSON so hidden fields
+// such as password hashes never reach the log
+const snapshot = (entity) => {
+  if (!entity) {
+    return null;
+  }
+  const plain = typeof entity.toJSON === 'function' ? entity.toJSON() : entity;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Changed fields between two snapshots. Nested objects are compared field by
+// field; arrays (images, variants, items) are compared as a whole.
+const diff = (before, after, prefix = '') => {
+  const keys = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+  const changes = [];
+
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (IGNORED_PATHS.includes(path)) {
+      return;
+    }
+
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diff(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, before: from, after: to });
+    }
+  });
+
+  return changes;
+};
+
+const NOTE_MAX_LENGTH = 500;
+
+// Record one change made by the current request's user; pass a null request
+// for changes made by the system (e.g. scheduled jobs)
+const recordAudit = async (req, { action, entityType, entityId, before, after, note }) => {
+  try {
+    const changes = diff(snapshot(before), snapshot(after));
+
+    // Nothing changed, e.g. an update that sent the current values
+    if (before && after && changes.length === 0) {
+      return null;
+    }
+
+    return await AuditLog.create({
+      actor: req && req.user ? req.user.id : null,
+      actorEmail: req && req.user ? req.user.email : undefined,
+      action,
+      entityType,
+      entityId,
+      changes,
+      // Notes often come from the request body; a long one is cut rather
+      // than failing validation and losing the entry
+      note: note ? String(note).trim().slice(0, NOTE_MAX_LENGTH) : note,
+      ip: req ? req.ip || (req.connection && req.connection.remoteAddress) : undefined,
+      userAgent: req ? req.header('User-Agent') : undefined
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit
+};
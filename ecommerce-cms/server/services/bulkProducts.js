@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { recordMovement } = require('./inventory');
+const { diff, snapshot, recordAudit } = require('./audit');
+const { FILTER_KEYS, FILTER_MODIFIERS, buildProductQuery } = require('./productQuery');
+const { httpError } = require('../utils/httpError');
+const { isObjectId, roundPrice } = require('../utils/values');
+
+// One change applied to many products, picked by id or by the product
+// listing filters. Every product is checked first and the change is written
+// in a single transaction, so it applies to all of them or to none.
+//   BULK_MAX_PRODUCTS=1000
+//
+// Operations and their `value`:
+//   setPrice      new price
+//   raisePrice    percentage, e.g. 10 for +10%; variant prices scale too
+//   lowerPrice    percentage, at most 100
+//   setActive     true or false
+//   moveCategory  category id
+//   adjustStock   whole number of units to add (negative to remove)
+
+const BULK_MAX_PRODUCTS = parseInt(process.env.BULK_MAX_PRODUCTS) || 1000;
+const OPERATIONS = ['setPrice', 'raisePrice', 'lowerPrice', 'setActive', 'moveCategory', 'adjustStock'];
+const BOOLEAN_FILTERS = ['isActive', 'includeSubcategories'];
+
+// Check the operation and convert its value
+const parseOperation = async (operation, value) => {
+  const invalid = (message) => httpError(400, 'Validation error', { value: message });
+
+  if (!OPERATIONS.includes(operation)) {
+    throw httpError(400, 'Validation error', { operation: `Operation must be one of: ${OPERATIONS.join(', ')}` });
+  }
+
+  if (operation === 'setActive') {
+    if (![true, false, 'true', 'false'].includes(value)) throw invalid('Value must be true or false');
+    return { operation, value: String(value) === 'true' };
+  }
+
+  if (operation === 'moveCategory') {
+    const category = isObjectId(value) ? await Category.findById(value, 'isActive') : null;
+    if (!category) throw invalid('Category not found');
+    if (!category.isActive) throw invalid('Category is inactive');
+    return { operation, value: category._id };
+  }
+
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) {
+    throw invalid('Value must be a number');
+  }
+
+  if (operation === 'adjustStock' && (!Number.isInteger(number) || number === 0)) {
+    throw invalid('Value must be a whole number other than 0');
+  }
+  if (operation !== 'adjustStock' && number < 0) {
+    throw invalid('Value cannot be negative');
+  }
+  if (operation === 'lowerPrice' && number > 100) {
+    throw invalid('Prices cannot be lowered by more than 100%');
+  }
+
+  return { operation, value: number };
+};
+
+// Conditions for the targeted products, from a list of ids or from filters
+const buildTarget = async ({ ids, filter }) => {
+  if (Array.isArray(ids) && ids.length > 0) {
+    const invalid = ids.filter(id => !isObjectId(id));
+    if (invalid.length > 0) {
+      throw httpError(400, 'Invalid product id', { ids: `Invalid id(s): ${invalid.join(', ')}` });
+    }
+    return { query: { _id: { $in: ids } }, ids: Array.from(new Set(ids.map(String))) };
+  }
+
+  // A filter that narrows nothing would match the whole catalog; that has to
+  // be asked for with { "all": true } on its own
+  if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+    const keys = Object.keys(filter);
+
+    if (keys.includes('all')) {
+      if (filter.all !== true || keys.length > 1) {
+        throw httpError(400, 'Validation error', { filter: 'Use { "all": true } on its own to target the whole catalog' });
+      }
+      return { query: (await buildProductQuery({}, { storefront: false })).query, ids: null };
+    }
+
+    const unknown = keys.filter(key => !FILTER_KEYS.includes(key) && !FILTER_MODIFIERS.includes(key));
+    if (unknown.length > 0) {
+      throw httpError(400, 'Validation error', { filter: `Unknown filter(s): ${unknown.join(', ')}` });
+    }
+
+    // The filters are read as query string values; JSON booleans and numbers
+    // become their string form, anything else is refused
+    const params = {};
+    const errors = {};
+    keys.forEach(key => {
+      const value = filter[key];
+      if (BOOLEAN_FILTERS.includes(key)) {
+        if (![true, false, 'true', 'false'].includes(value)) errors[key] = 'Must be true or false';
+      } else if (!['string', 'number'].includes(typeof value)) {
+        errors[key] = 'Must be a string or a number';
+      }
+      params[key] = String(value);
+    });
+    if (Object.keys(errors).length > 0) {
+      throw httpError(400, 'Validation error', errors);
+    }
+
+    // Values that narrow nothing (e.g. minPrice: 0) leave the query empty
+    const { query } = await buildProductQuery(params, { storefront: false });
+    if (Object.keys(query).length > 0) {
+      return { query, ids: null };
+    }
+  }
+
+  throw httpError(400, 'Validation error', {
+    target: `Pass ids, or a filter using at least one of: ${FILTER_KEYS.join(', ')} (use { "all": true } for the whole catalog)`
+  });
+};
+
+// The fields an operation can change, flattened so diff() reports each
+// variant price separately
+const summarize = (product) => ({
+  price: product.price,
+  isActive: product.isActive,
+  category: product.category ? String(product.category) : null,
+  stock: product.stock,
+  variantPrices: Object.fromEntries(product.variants.map(v => [v.sku, v.price]))
+});
+
+// Apply the operation to a loaded product, in memory only. Returns the
+// changes and any stock to move; throws with per-field errors if the
+// product cannot take the change.
+const planProduct = async (product, { operation, value, canPublish }) => {
+  const before = summarize(product);
+  let stockDelta = 0;
+
+  switch (operation) {
+    case 'setPrice':
+      product.price = value;
+      break;
+    case 'raisePrice':
+    case 'lowerPrice': {
+      const factor = operation === 'raisePrice' ? 1 + value / 100 : 1 - value / 100;
+      product.price = roundPrice(product.price * factor);
+      product.variants.forEach(variant => {
+        if (variant.price !== null && variant.price !== undefined) {
+          variant.price = roundPrice(variant.price * factor);
+        }
+      });
+      break;
+    }
+    case 'setActive':
+      product.isActive = value;
+      break;
+    case 'moveCategory':
+      product.category = value;
+      break;
+    case 'adjustStock':
+      if (product.variants.length > 0) {
+        throw httpError(409, 'Stock is managed per variant', { stock: 'Stock is managed per variant for this product' });
+      }
+      if (product.stock + value < (product.reserved || 0)) {
+        throw httpError(409, 'Insufficient stock', { stock: `Only ${product.availableFor()} available to remove` });
+      }
+      stockDelta = value;
+      break;
+  }
+
+  await product.validate();
+
+  const after = summarize(product);
+  after.stock += stockDelta;
+  const changes = diff(before, after);
+
+  // Published products only change through review for staff who cannot publish
+  if (changes.length > 0 && product.status === 'published' && !canPublish) {
+    throw httpError(403, 'Product is published', { status: 'Requires permission: product:publish to change a published product' });
+  }
+
+  return { changes, stockDelta };
+};
+
+// Per-field errors from anything thrown while planning a product
+const errorsFrom = (error) => {
+  if (error.status) {
+    return error.errors || { product: error.message };
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = {};
+    Object.keys(error.errors).forEach(key => {
+      errors[key] = error.errors[key].message;
+    });
+    return errors;
+  }
+
+  throw error;
+};
+
+// Plan the operation for every targeted product without writing anything
+const planAll = async (products, op, ids) => {
+  const items = [];
+
+  for (const product of products) {
+    try {
+      const { changes } = await planProduct(product, op);
+      items.push({ product: product._id, name: product.name, result: changes.length > 0 ? 'updated' : 'unchanged', changes });
+    } catch (error) {
+      items.push({ product: product._id, name: product.name, result: 'failed', errors: errorsFrom(error) });
+    }
+  }
+
+  // Ids that were asked for but not found (or are in the trash)
+  if (ids) {
+    const found = new Set(products.map(product => String(product._id)));
+    ids.filter(id => !found.has(id)).forEach(id => {
+      items.push({ product: id, result: 'failed', errors: { product: 'Product not found' } });
+    });
+  }
+
+  return items;
+};
+
+const countResults = (items) => ({
+  matched: items.length,
+  updated: items.filter(item => item.result === 'updated').length,
+  unchanged: items.filter(item => item.result === 'unchanged').length,
+  failed: items.filter(item => item.result === 'failed').length
+});
+
+// Run a bulk operation. With `preview` nothing is written; otherwise the
+// change is applied only if every product can take it. Returns a report with
+// counts and one result per product.
+const runBulkOperation = async ({ ids, filter, operation, value }, { preview = false, req }) => {
+  const op = {
+    ...await parseOperation(operation, value),
+    canPublish: req.user.permissions.includes('product:publish')
+  };
+  const target = await buildTarget({ ids, filter });
+
+  const matched = await Product.countDocuments(target.query);
+  if (matched > BULK_MAX_PRODUCTS) {
+    throw httpError(400, 'Too many products', {
+      target: `${matched} products match; at most ${BULK_MAX_PRODUCTS} can be changed at once`
+    });
+  }
+
+  const products = await Product.find(target.query).sort({ _id: 1 });
+  let items = await planAll(products, op, target.ids);
+  let counts = countResults(items);
+
+  if (preview || counts.failed > 0 || counts.updated === 0) {
+    return { operation: op.operation, value: op.value, preview, applied: false, counts, items };
+  }
+
+  const session = await mongoose.startSession();
+  const audits = [];
+
+  try {
+    await session.withTransaction(async () => {
+      audits.length = 0;
+      const written = [];
+
+      // Re-check against the current documents, which may have changed
+      // since the plan was made
+      for (const item of items.filter(entry => entry.result === 'updated')) {
+        const product = await Product.findById(item.product).session(session);
+        if (!product) {
+          throw httpError(409, 'Products changed during the operation', { [item.product]: 'Product not found' });
+        }
+
+        const before = snapshot(product);
+        let plan;
+        try {
+          plan = await planProduct(product, op);
+        } catch (error) {
+          throw httpError(409, 'Products changed during the operation', { [item.product]: errorsFrom(error) });
+        }
+
+        let after = product;
+        if (plan.stockDelta) {
+          after = await recordMovement({
+            product: product._id,
+            type: 'adjustment',
+            stockDelta: plan.stockDelta,
+            reason: 'Bulk stock adjustment',
+            user: req.user.id,
+            session
+          });
+
+          if (!after) {
+            throw httpError(409, 'Insufficient stock', { [item.product]: 'Stock cannot go below the quantity currently reserved' });
+          }
+        } else {
+          await product.save({ session });
+        }
+
+        written.push({ ...item, changes: plan.changes });
+        audits.push({ entityId: product._id, before, after });
+      }
+
+      items = items.map(item => written.find(entry => String(entry.product) === String(item.product)) || item);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  for (const { entityId, before, after } of audits) {
+    await recordAudit(req, {
+      action: 'product.update',
+      entityType: 'product',
+      entityId,
+      before,
+      after,
+      note: `Bulk ${op.operation} ${op.value}`
+    });
+  }
+
+  counts = countResults(items);
+  return { operation: op.operation, value: op.value, preview, applied: true, counts, items };
+};
+
+module.exports = {
+  BULK_MAX_PRODUCTS,
+  OPERATIONS,
+  runBulkOperation
+};
@@ -0,0 +1,523 @@
+const { Readable, Transform, pipeline } = require('stream');
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse');
+const { stringify } = require('csv-stringify');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ImportJob = require('../models/ImportJob');
+const { recordMovement, recordInitialStock, moveStockToVariant } = require('./inventory');
+const { snapshot, diff, recordAudit } = require('./audit');
+
+// CSV import and export of the catalog. There is one row per variant, or one
+// row per product without variants; product columns repeat on variant rows.
+// `category` is a category name and `attributes` looks like "size=M|color=red".
+//
+// Imports upsert row by row: a row with a SKU updates that variant (or adds
+// it to the product with the same name), a row without one updates the
+// product with the same name, and anything not found is created. Blank cells
+// leave existing values alone. Stock changes go through the inventory ledger.
+// Jobs run one at a time in the background and yield between batches, so a
+// large file does not hold up other requests.
+//   IMPORT_MAX_ERRORS=1000   (row errors kept per job)
+
+const CSV_COLUMNS = ['name', 'description', 'price', 'category', 'isActive', 'sku', 'attributes', 'variantPrice', 'stock'];
+const MAX_ERRORS = parseInt(process.env.IMPORT_MAX_ERRORS) || 1000;
+const PROGRESS_EVERY = 200;
+const CHUNK_SIZE = 64 * 1024;
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Errors for one row, keyed by column
+const rowError = (errors) => {
+  const error = new Error('Invalid row');
+  error.rowErrors = errors;
+  return error;
+};
+
+// Row errors from anything thrown while importing a row
+const rowErrorsFrom = (error) => {
+  if (error.rowErrors) {
+    return error.rowErrors;
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = {};
+    Object.keys(error.errors).forEach(key => {
+      errors[key] = error.errors[key].message;
+    });
+    return errors;
+  }
+
+  if (error.code === 11000) {
+    return { sku: 'SKU already exists' };
+  }
+
+  console.error('Import row error:', error);
+  return { row: 'Unexpected error' };
+};
+
+// "size=M|color=red" <-> { size: 'M', color: 'red' }
+const parseAttributes = (value) => {
+  const attributes = {};
+  for (const pair of value.split('|')) {
+    const [name, ...rest] = pair.split('=');
+    if (!name.trim() || rest.length === 0 || !rest.join('=').trim()) {
+      return null;
+    }
+    attributes[name.trim().toLowerCase()] = rest.join('=').trim();
+  }
+  return attributes;
+};
+
+const formatAttributes = (attributes) => {
+  const entries = attributes instanceof Map ? Array.from(attributes) : Object.entries(attributes || {});
+  return entries.map(([name, value]) => `${name}=${value}`).join('|');
+};
+
+// Map header cells to column names, ignoring case; unknown columns are kept
+// as they are and ignored
+const normalizeHeader = (header) => {
+  const columns = header.map(cell => {
+    const name = String(cell).trim();
+    return CSV_COLUMNS.find(column => column.toLowerCase() === name.toLowerCase()) || name;
+  });
+
+  if (!columns.includes('name') && !columns.includes('sku')) {
+    throw new Error('The header row needs a name or sku column');
+  }
+  return columns;
+};
+
+// Validate and convert the cells of one row
+const parseRow = (record) => {
+  const errors = {};
+
+  const text = (key) => {
+    const value = record[key] === undefined ? '' : String(record[key]).trim();
+    if (value === '') return undefined;
+    // Undo the apostrophe the export puts before formula-like cells
+    return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+  };
+
+  const number = (key, { integer = false } = {}) => {
+    const value = text(key);
+    if (value === undefined) return undefined;
+
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0 || (integer && !Number.isInteger(parsed))) {
+      errors[key] = integer ? 'Must be a whole number, 0 or more' : 'Must be a number, 0 or more';
+      return undefined;
+    }
+    return parsed;
+  };
+
+  const boolean = (key) => {
+    const value = text(key);
+    if (value === undefined) return undefined;
+
+    if (['true', 'yes', '1'].includes(value.toLowerCase())) return true;
+    if (['false', 'no', '0'].includes(value.toLowerCase())) return false;
+    errors[key] = 'Must be true or false';
+    return undefined;
+  };
+
+  const row = {
+    name: text('name'),
+    description: text('description'),
+    price: number('price'),
+    category: text('category'),
+    isActive: boolean('isActive'),
+    sku: text('sku') ? text('sku').toUpperCase() : undefined,
+    attributes: undefined,
+    variantPrice: number('variantPrice'),
+    stock: number('stock', { integer: true })
+  };
+
+  if (text('attributes')) {
+    row.attributes = parseAttributes(text('attributes'));
+    if (!row.attributes) errors.attributes = 'Use name=value pairs separated by |, e.g. size=M|color=red';
+  }
+
+  if (!row.sku && !row.name) {
+    errors.name = 'Name or SKU is required';
+  }
+
+  if (!row.sku && (row.attributes || row.variantPrice !== undefined)) {
+    errors.sku = 'SKU is required for variant columns';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw rowError(errors);
+  }
+
+  return row;
+};
+
+// Category id for a category name
+const resolveCategory = (name, ctx) => {
+  const category = ctx.categories.get(name.toLowerCase());
+
+  if (!category) {
+    throw rowError({ category: `Unknown category ${name}` });
+  }
+  if (!category.isActive) {
+    throw rowError({ category: `Category ${name} is inactive` });
+  }
+  return category._id;
+};
+
+// Declare option values used by a variant so it passes validation
+const addOptionValues = (product, attributes) => {
+  Object.entries(attributes || {}).forEach(([name, value]) => {
+    const option = product.options.find(o => o.name === name);
+    if (!option) {
+      product.options.push({ name, values: [value] });
+    } else if (option.values.length > 0 && !option.values.includes(value)) {
+      option.values.push(value);
+    }
+  });
+};
+
+// Create a product from a row
+const createFromRow = async (row, categoryId, ctx) => {
+  const missing = {};
+  ['name', 'description', 'price', 'category'].forEach(field => {
+    if (row[field] === undefined) missing[field] = `${field} is required for new products`;
+  });
+  if (Object.keys(missing).length > 0) {
+    throw rowError(missing);
+  }
+
+  // Published straight away only for staff who may publish
+  const status = ctx.canPublish ? 'published' : 'draft';
+
+  const product = new Product({
+    name: row.name,
+    description: row.description,
+    price: row.price,
+    category: categoryId,
+    isActive: row.isActive !== undefined ? row.isActive : true,
+    status,
+    publishedAt: status === 'published' ? new Date() : null,
+    stock: row.sku ? 0 : row.stock || 0,
+    createdBy: ctx.req.user.id
+  });
+
+  if (row.sku) {
+    addOptionValues(product, row.attributes);
+    product.variants.push({
+      sku: row.sku,
+      attributes: row.attributes || {},
+      price: row.variantPrice !== undefined ? row.variantPrice : null,
+      stock: row.stock || 0
+    });
+    product.stock = row.stock || 0;
+  }
+
+  if (ctx.dryRun) {
+    await product.validate();
+    ctx.planned.add(row.name.toLowerCase());
+    return 'created';
+  }
+
+  await product.save();
+  await recordInitialStock(product, { user: ctx.req.user.id });
+  await recordAudit(ctx.req, { action: 'product.create', entityType: 'product', entityId: product._id, after: product, note: ctx.note });
+  return 'created';
+};
+
+// Apply a row to an existing product
+const updateFromRow = async (row, categoryId, product, ctx) => {
+  const before = snapshot(product);
+
+  if (row.name !== undefined) product.name = row.name;
+  if (row.description !== undefined) product.description = row.description;
+  if (row.price !== undefined) product.price = row.price;
+  if (categoryId !== undefined) product.category = categoryId;
+  if (row.isActive !== undefined) product.isActive = row.isActive;
+
+  let variant = null;
+  let newVariant = false;
+
+  if (row.sku) {
+    variant = product.variants.find(v => v.sku === row.sku);
+
+    if (!variant) {
+      addOptionValues(product, row.attributes);
+      product.variants.push({
+        sku: row.sku,
+        attributes: row.attributes || {},
+        price: row.variantPrice !== undefined ? row.variantPrice : null,
+        stock: 0
+      });
+      variant = product.variants[product.variants.length - 1];
+      newVariant = true;
+    } else {
+      if (row.attributes) {
+        addOptionValues(product, row.attributes);
+        variant.attributes = row.attributes;
+      }
+      if (row.variantPrice !== undefined) variant.price = row.variantPrice;
+    }
+  } else if (row.stock !== undefined && product.variants.length > 0) {
+    throw rowError({ stock: 'Stock is managed per variant for this product; give a SKU' });
+  }
+
+  // The first variant takes over stock held at product level, so a stock
+  // cell on its row is measured against that quantity
+  const moveStock = newVariant && product.variants.length === 1 && product.stock > 0;
+  if (moveStock && product.reserved > 0) {
+    throw rowError({ sku: 'Product stock is reserved and cannot be moved to variants yet' });
+  }
+
+  const target = variant || product;
+  const currentStock = moveStock ? product.stock : target.stock;
+  if (row.stock !== undefined && row.stock < (target.reserved || 0)) {
+    throw rowError({ stock: `${target.reserved} units are currently reserved` });
+  }
+  const stockDelta = row.stock !== undefined ? row.stock - currentStock : 0;
+
+  await product.validate();
+
+  const changed = diff(before, snapshot(product)).length > 0 || stockDelta !== 0;
+  if (!changed) {
+    return 'unchanged';
+  }
+
+  // Published products only change through review for staff who cannot publish
+  if (product.status === 'published' && !ctx.canPublish) {
+    throw rowError({ status: 'Product is published; requires permission product:publish to change it' });
+  }
+
+  if (ctx.dryRun) {
+    return 'updated';
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await product.save({ session });
+
+      if (moveStock && !(await moveStockToVariant(product._id, variant._id, { user: ctx.req.user.id, session }))) {
+        throw rowError({ sku: 'Product stock is reserved and cannot be moved to variants yet' });
+      }
+
+      if (stockDelta !== 0) {
+        const adjusted = await recordMovement({
+          product: product._id,
+          variant: variant ? variant._id : undefined,
+          type: newVariant && !moveStock ? 'receipt' : 'adjustment',
+          stockDelta,
+          reason: newVariant && !moveStock ? 'Initial variant stock' : 'CSV import',
+          user: ctx.req.user.id,
+          session
+        });
+
+        if (!adjusted) {
+          throw rowError({ stock: 'Stock cannot go below the quantity currently reserved' });
+        }
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await recordAudit(ctx.req, {
+    action: 'product.update',
+    entityType: 'product',
+    entityId: product._id,
+    before,
+    after: await Product.findById(product._id),
+    note: ctx.note
+  });
+  return 'updated';
+};
+
+// Import one row; returns 'created', 'updated' or 'unchanged'
+const importRow = async (row, ctx) => {
+  const categoryId = row.category !== undefined ? resolveCategory(row.category, ctx) : undefined;
+
+  let product = null;
+  if (row.sku) {
+    product = await Product.findOne({ 'variants.sku': row.sku });
+
+    if (!product && await Product.exists({ 'variants.sku': row.sku, deletedAt: { $ne: null } })) {
+      throw rowError({ sku: 'SKU belongs to a product in the trash' });
+    }
+  }
+
+  if (!product && row.name) {
+    const matches = await Product.find({ name: row.name }).limit(2);
+    if (matches.length > 1) {
+      throw rowError({ name: 'Several products have this name; use SKUs to tell them apart' });
+    }
+    product = matches[0] || null;
+  }
+
+  // A dry run does not write, so products planned by earlier rows only
+  // exist here; their later rows cannot be checked any further
+  if (!product && ctx.dryRun && row.name && ctx.planned.has(row.name.toLowerCase())) {
+    return 'updated';
+  }
+
+  return product
+    ? updateFromRow(row, categoryId, product, ctx)
+    : createFromRow(row, categoryId, ctx);
+};
+
+// Split a buffer so the parser works through it in pieces
+function* chunksOf(buffer) {
+  for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+    yield buffer.subarray(offset, offset + CHUNK_SIZE);
+  }
+}
+
+// Process an import job from its uploaded file. `req` is the upload request,
+// used for the acting user and the audit trail.
+const runImport = async (job, buffer, req) => {
+  await ImportJob.updateOne({ _id: job._id }, { $set: { status: 'running', startedAt: new Date() } });
+
+  const categories = await Category.find({}, 'name isActive');
+  const ctx = {
+    req,
+    dryRun: job.dryRun,
+    canPublish: req.user.permissions.includes('product:publish'),
+    note: `CSV import ${job._id}`,
+    categories: new Map(categories.map(category => [category.name.toLowerCase(), category])),
+    planned: new Set()
+  };
+
+  const counts = { rows: 0, created: 0, updated: 0, unchanged: 0, failed: 0 };
+  const rowErrors = [];
+  let rowErrorsTruncated = false;
+  let status = 'completed';
+  let failureReason;
+
+  try {
+    const parser = Readable.from(chunksOf(buffer)).pipe(parse({
+      columns: normalizeHeader,
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      info: true
+    }));
+
+    for await (const { record, info } of parser) {
+      counts.rows++;
+
+      try {
+        counts[await importRow(parseRow(record), ctx)]++;
+      } catch (error) {
+        counts.failed++;
+        Object.entries(rowErrorsFrom(error)).forEach(([field, message]) => {
+          if (rowErrors.length < MAX_ERRORS) {
+            rowErrors.push({ line: info.lines, field, message });
+          } else {
+            rowErrorsTruncated = true;
+          }
+        });
+      }
+
+      // Report progress and give other requests a turn
+      if (counts.rows % PROGRESS_EVERY === 0) {
+        await ImportJob.updateOne({ _id: job._id }, { $set: { counts } });
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+  } catch (error) {
+    // The file itself could not be read (bad header, malformed CSV)
+    status = 'failed';
+    failureReason = error.message;
+  }
+
+  await ImportJob.updateOne({ _id: job._id }, {
+    $set: { status, failureReason, counts, rowErrors, rowErrorsTruncated, finishedAt: new Date() }
+  });
+};
+
+// Jobs run one at a time, in the order they were uploaded
+const queue = [];
+let draining = false;
+
+const drainQueue = async () => {
+  if (draining) return;
+  draining = true;
+
+  while (queue.length > 0) {
+    const { job, buffer, req } = queue.shift();
+    try {
+      await runImport(job, buffer, req);
+    } catch (error) {
+      console.error('Import job error:', error);
+      await ImportJob.updateOne(
+        { _id: job._id },
+        { $set: { status: 'failed', failureReason: error.message, finishedAt: new Date() } }
+      ).catch(() => {});
+    }
+  }
+
+  draining = false;
+};
+
+// Queue an import job; it starts once earlier jobs are done
+const enqueueImport = (job, buffer, req) => {
+  queue.push({ job, buffer, req });
+  setImmediate(drainQueue);
+};
+
+// Jobs that were queued or running when the server stopped cannot resume
+const failInterruptedImports = () => ImportJob.updateMany(
+  { status: { $in: ['queued', 'running'] } },
+  { $set: { status: 'failed', failureReason: 'Interrupted by a server restart', finishedAt: new Date() } }
+);
+
+// Prefix formula-like text so spreadsheets show it instead of running it
+const safeCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+// CSV rows for one product: one per variant, or a single row
+const rowsForProduct = (product) => {
+  const base = {
+    name: safeCell(product.name),
+    description: safeCell(product.description),
+    price: product.price,
+    category: safeCell(product.category ? product.category.name : ''),
+    isActive: product.isActive ? 'true' : 'false'
+  };
+
+  if (product.variants.length === 0) {
+    return [{ ...base, sku: '', attributes: '', variantPrice: '', stock: product.stock }];
+  }
+
+  return product.variants.map(variant => ({
+    ...base,
+    sku: safeCell(variant.sku),
+    attributes: safeCell(formatAttributes(variant.attributes)),
+    variantPrice: variant.price === null || variant.price === undefined ? '' : variant.price,
+    stock: variant.stock
+  }));
+};
+
+// Stream the products of a query cursor as CSV into `output`
+const streamProductsCsv = (cursor, output, callback) => {
+  const toRows = new Transform({
+    objectMode: true,
+    transform(product, encoding, done) {
+      rowsForProduct(product).forEach(row => this.push(row));
+      done();
+    }
+  });
+
+  pipeline(cursor, toRows, stringify({ header: true, columns: CSV_COLUMNS }), output, callback);
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  enqueueImport,
+  failInterruptedImports,
+  streamProductsCsv
+};
@@ -0,0 +1,119 @@
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { httpError } = require('../utils/httpError');
+
+// Every uploaded image is resized into a set of renditions, each saved in the
+// upload's own format (or JPEG) and in a modern format for browsers that
+// support it. Sizes are a bounding box in pixels and are never enlarged.
+//   IMAGE_RENDITIONS=thumb:150,medium:600,large:1200
+//   IMAGE_MODERN_FORMAT=webp   (webp or avif)
+// Originals and renditions are written through the configured storage driver.
+
+const parseRenditions = (value) => String(value)
+  .split(',')
+  .map(entry => entry.split(':'))
+  .filter(([name, size]) => name && parseInt(size) > 0)
+  .map(([name, size]) => ({ name: name.trim(), size: parseInt(size) }));
+
+const RENDITIONS = parseRenditions(process.env.IMAGE_RENDITIONS || 'thumb:150,medium:600,large:1200');
+const MODERN_FORMAT = ['webp', 'avif'].includes(process.env.IMAGE_MODERN_FORMAT) ? process.env.IMAGE_MODERN_FORMAT : 'webp';
+const PASSTHROUGH_FORMATS = ['jpeg', 'png', 'webp'];
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', avif: 'image/avif' };
+
+// Unique storage key: field name + timestamp + random suffix + original extension
+const generateKey = (file) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname).toLowerCase();
+};
+
+// Storage key of a stored image or rendition; older records only have a path
+const keyOf = (item) => item.key || (item.path ? path.basename(item.path) : null);
+
+// Store one resized copy of an upload
+const writeRendition = async (file, { name, size }, format) => {
+  const extension = format === 'jpeg' ? '.jpg' : `.${format}`;
+  const key = `${path.basename(file.key, path.extname(file.key))}-${name}${extension}`;
+
+  const { data, info } = await sharp(file.buffer)
+    .rotate()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+
+  const stored = await getStorage().put(key, data, { contentType: CONTENT_TYPES[format] });
+
+  return {
+    name,
+    format,
+    width: info.width,
+    height: info.height,
+    key,
+    url: stored.url,
+    path: stored.path,
+    size: info.size
+  };
+};
+
+// Store the original and all renditions of an uploaded file, recording each
+// on the file as it is written so a failure can clean up after itself
+const storeUpload = async (file, metadata) => {
+  const storage = getStorage();
+  const key = generateKey(file);
+  const stored = await storage.put(key, file.buffer, { contentType: file.mimetype });
+
+  file.key = key;
+  file.filename = key;
+  file.url = stored.url;
+  file.path = stored.path;
+  file.renditions = [];
+
+  const format = PASSTHROUGH_FORMATS.includes(metadata.format) ? metadata.format : 'jpeg';
+  const formats = format === MODERN_FORMAT ? [format] : [format, MODERN_FORMAT];
+
+  for (const rendition of RENDITIONS) {
+    for (const target of formats) {
+      file.renditions.push(await writeRendition(file, rendition, target));
+    }
+  }
+};
+
+// Store in-memory multer files with their renditions. Every file is checked
+// before anything is written; if storing fails, the whole batch is removed.
+const processUploadedImages = async (files) => {
+  const metadata = [];
+  for (const file of files) {
+    try {
+      metadata.push(await sharp(file.buffer).metadata());
+    } catch (error) {
+      throw httpError(400, 'Invalid image', { images: `${file.originalname} could not be read as an image` });
+    }
+  }
+
+  try {
+    for (let i = 0; i < files.length; i++) {
+      await storeUpload(files[i], metadata[i]);
+    }
+  } catch (error) {
+    await Promise.all(files.map(removeImageFiles));
+    throw error;
+  }
+};
+
+// Delete an image's original and all of its renditions from storage.
+// Cleanup is best effort: failures are logged, not thrown.
+const removeImageFiles = async (image) => {
+  const keys = [keyOf(image)].concat((image.renditions || []).map(keyOf)).filter(Boolean);
+  const storage = getStorage();
+
+  await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error(`Error removing file ${key}:`, error);
+  })));
+};
+
+module.exports = {
+  RENDITIONS,
+  MODERN_FORMAT,
+  processUploadedImages,
+  removeImageFiles
+};
@@ -0,0 +1,434 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const StockReservation = require('../models/StockReservation');
+
+// All stock changes go through here so every change lands in the ledger.
+// Product.stock is on-hand quantity, Product.reserved is held by checkout
+// reservations; available stock is stock - reserved.
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+// Ledger entry for stock a product had before its first logged movement
+const BACKFILL_REASON = 'Opening balance (before the ledger)';
+
+// Apply a stock change to a product (or one of its variants) and append it
+// to the ledger. Returns the updated product, or null if it would oversell.
+const recordMovement = async ({ product, variant, type, stockDelta = 0, reservedDelta = 0, reason, user, order, reservation, session }) => {
+  // Products and variants from before the ledger start it with their current
+  // stock, so the ledger always adds up to the real quantity
+  const hasLedger = await InventoryMovement.exists({ product, variant: variant || null }).session(session);
+  if (!hasLedger) {
+    const current = await Product.findById(product).session(session);
+    if (current) {
+      await recordOpeningBalance(current, { variant, reason: 'Opening balance', user, session });
+    }
+  }
+
+  const filter = { _id: product };
+  // Writes skip the soft-delete filter, so sales and new holds exclude
+  // trashed products here; releases and restocks still reach them
+  if (type === 'sale' || type === 'reservation') filter.deletedAt = null;
+  const update = { $inc: { stock: stockDelta, reserved: reservedDelta } };
+  const options = { new: true, session };
+
+  // Guards: never take more than is available, never release more than is held
+  const needed = reservedDelta > 0 ? reservedDelta : (stockDelta < 0 && reservedDelta === 0 ? -stockDelta : 0);
+  const held = { stock: stockDelta < 0 ? -stockDelta : 0, reserved: reservedDelta < 0 ? -reservedDelta : 0 };
+
+  if (variant) {
+    const variantId = new mongoose.Types.ObjectId(variant);
+    const conditions = { _id: variantId };
+    if (held.stock) conditions.stock = { $gte: held.stock };
+    if (held.reserved) conditions.reserved = { $gte: held.reserved };
+    filter.variants = { $elemMatch: conditions };
+
+    if (needed) {
+      filter.$expr = {
+        $anyElementTrue: [{
+          $map: {
+            input: { $ifNull: ['$variants', []] },
+            as: 'v',
+            in: {
+              $and: [
+                { $eq: ['$$v._id', variantId] },
+                { $gte: [{ $subtract: ['$$v.stock', { $ifNull: ['$$v.reserved', 0] }] }, needed] }
+              ]
+            }
+          }
+        }]
+      };
+    }
+
+    update.$inc['variants.$[v].stock'] = stockDelta;
+    update.$inc['variants.$[v].reserved'] = reservedDelta;
+    options.arrayFilters = [{ 'v._id': variantId }];
+  } else {
+    // Products with variants only move stock through their variants
+    filter['variants.0'] = { $exists: false };
+    if (needed) {
+      filter.$expr = { $gte: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, needed] };
+    }
+    if (held.stock) filter.stock = { $gte: held.stock };
+    if (held.reserved) filter.reserved = { $gte: held.reserved };
+  }
+
+  const updated = await Product.findOneAndUpdate(filter, update, options);
+
+  if (!updated) {
+    return null;
+  }
+
+  const target = variant ? updated.getVariant(variant) : updated;
+
+  await InventoryMovement.create([{
+    product,
+    variant: variant || null,
+    type,
+    stockDelta,
+    reservedDelta,
+    stockAfter: target.stock,
+    reservedAfter: target.reserved,
+    reason,
+    user,
+    order,
+    reservation
+  }], { session });
+
+  return updated;
+};
+
+// Log starting stock without changing it (new or pre-ledger products and variants)
+const recordOpeningBalance = async (product, { variant, reason = 'Initial stock', user, session } = {}) => {
+  const target = variant ? product.getVariant(variant) : product;
+
+  if (!target || !target.stock) {
+    return null;
+  }
+
+  const [movement] = await InventoryMovement.create([{
+    product: product._id,
+    variant: variant || null,
+    type: 'receipt',
+    stockDelta: target.stock,
+    stockAfter: target.stock,
+    reservedAfter: target.reserved || 0,
+    reason,
+    user
+  }], { session });
+
+  return movement;
+};
+
+// Log starting stock for a new product, per variant when it has variants
+const recordInitialStock = async (product, { user, session } = {}) => {
+  if (product.variants.length === 0) {
+    return recordOpeningBalance(product, { user, session });
+  }
+
+  for (const variant of product.variants) {
+    await recordOpeningBalance(product, { variant: variant._id, user, session });
+  }
+};
+
+// Move stock held at product level onto a product's first variant, once the
+// variant is saved, so a product that gains variants keeps its inventory.
+// Both sides are logged. Returns null while product-level stock is reserved,
+// since those reservations cannot be moved; run it in the same transaction
+// as the save so a refusal leaves neither change behind.
+const moveStockToVariant = async (productId, variantId, { user, session } = {}) => {
+  const product = await Product.findById(productId).session(session);
+  const variant = product && product.getVariant(variantId);
+
+  if (!variant || product.variants.length !== 1 || product.reserved > 0) {
+    return null;
+  }
+
+  // Product stock still holds the product-level quantity
+  const quantity = product.stock - variant.stock;
+  if (quantity <= 0) {
+    return product;
+  }
+
+  if (!(await InventoryMovement.exists({ product: product._id, variant: null }).session(session))) {
+    await recordOpeningBalance(product, { reason: 'Opening balance', user, session });
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, stock: product.stock, reserved: { $in: [0, null] }, 'variants.1': { $exists: false } },
+    { $inc: { 'variants.$[v].stock': quantity } },
+    { new: true, session, arrayFilters: [{ 'v._id': variant._id }] }
+  );
+
+  if (!updated) {
+    return null;
+  }
+
+  await InventoryMovement.create([
+    {
+      product: product._id,
+      variant: null,
+      type: 'adjustment',
+      stockDelta: -quantity,
+      stockAfter: 0,
+      reservedAfter: 0,
+      reason: 'Stock moved to variant',
+      user
+    },
+    {
+      product: product._id,
+      variant: variant._id,
+      type: 'adjustment',
+      stockDelta: quantity,
+      stockAfter: updated.getVariant(variant._id).stock,
+      reservedAfter: 0,
+      reason: 'Stock moved from product',
+      user
+    }
+  ], { session, ordered: true });
+
+  return updated;
+};
+
+// Put quantities back on their products, e.g. for cancelled or returned items
+const restockItems = async (items, { type = 'return', reason, user, order, session } = {}) => {
+  for (const item of items) {
+    await recordMovement({
+      product: item.product,
+      variant: item.variant,
+      type,
+      stockDelta: item.quantity,
+      reason,
+      user,
+      order,
+      session
+    });
+  }
+};
+
+// Hold stock for a user until the reservation expires or is committed
+const reserveStock = async (productId, quantity, { variant, user, session } = {}) => {
+  const reservationId = new mongoose.Types.ObjectId();
+
+  const updated = await recordMovement({
+    product: productId,
+    variant,
+    type: 'reservation',
+    reservedDelta: quantity,
+    reason: 'Checkout reservation',
+    user,
+    reservation: reservationId,
+    session
+  });
+
+  if (!updated) {
+    return null;
+  }
+
+  const [reservation] = await StockReservation.create([{
+    _id: reservationId,
+    product: productId,
+    variant: variant || null,
+    user,
+    quantity,
+    expiresAt: new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000)
+  }], { session });
+
+  return reservation;
+};
+
+// Stop holding a reservation's stock; only the first caller wins
+const releaseReservation = async (reservation, { status = 'released', reason = 'Reservation released', session } = {}) => {
+  const claimed = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'active' },
+    { $set: { status } },
+    { new: true, session }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  await recordMovement({
+    product: claimed.product,
+    variant: claimed.variant,
+    type: 'release',
+    reservedDelta: -claimed.quantity,
+    reason,
+    user: claimed.user,
+    reservation: claimed._id,
+    session
+  });
+
+  return claimed;
+};
+
+// Turn a reservation into a sale of `quantity` units, releasing any remainder
+const commitReservation = async (reservation, quantity, { order, session } = {}) => {
+  const claimed = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'active', expiresAt: { $gt: new Date() }, quantity: { $gte: quantity } },
+    { $set: { status: 'committed', order } },
+    { new: true, session }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  return recordMovement({
+    product: claimed.product,
+    variant: claimed.variant,
+    type: 'sale',
+    stockDelta: -quantity,
+    reservedDelta: -claimed.quantity,
+    reason: 'Order placed from reservation',
+    user: claimed.user,
+    order,
+    reservation: claimed._id,
+    session
+  });
+};
+
+// Release every reservation past its expiry time
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({ status: 'active', expiresAt: { $lte: new Date() } });
+  let released = 0;
+
+  for (const reservation of expired) {
+    if (await releaseReservation(reservation, { status: 'expired', reason: 'Reservation expired' })) {
+      released++;
+    }
+  }
+
+  return released;
+};
+
+// Periodically release expired reservations
+const startReservationSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    releaseExpiredReservations().catch(error => {
+      console.error('Reservation sweeper error:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+// Bring Product.stock/reserved (and each variant's) back in line with the
+// ledger and the active reservations
+const reconcileStock = async (productId, { user } = {}) => {
+  const product = await Product.findById(productId);
+
+  if (!product) {
+    return null;
+  }
+
+  // Ledgers started after the product (from before recordMovement logged
+  // opening balances) begin above or below zero; the quantity before their
+  // first movement is backfilled as an opening balance
+  const openings = await InventoryMovement.aggregate([
+    { $match: { product: product._id, reason: { $ne: BACKFILL_REASON } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: '$variant', first: { $first: '$$ROOT' } } }
+  ]);
+  for (const { first } of openings) {
+    const missing = first.stockAfter - first.stockDelta;
+    const backfilled = missing !== 0 && await InventoryMovement.exists({
+      product: product._id,
+      variant: first.variant,
+      reason: BACKFILL_REASON
+    });
+
+    if (missing !== 0 && !backfilled) {
+      await InventoryMovement.create({
+        product: product._id,
+        variant: first.variant,
+        type: 'adjustment',
+        stockDelta: missing,
+        stockAfter: missing,
+        reservedAfter: (first.reservedAfter || 0) - (first.reservedDelta || 0),
+        reason: BACKFILL_REASON,
+        user
+      });
+    }
+  }
+
+  const ledger = await InventoryMovement.aggregate([
+    { $match: { product: product._id } },
+    { $group: { _id: '$variant', stock: { $sum: '$stockDelta' } } }
+  ]);
+  const held = await StockReservation.aggregate([
+    { $match: { product: product._id, status: 'active' } },
+    { $group: { _id: '$variant', quantity: { $sum: '$quantity' } } }
+  ]);
+
+  const keyOf = (id) => (id ? id.toString() : 'product');
+  const ledgerStock = new Map(ledger.map(row => [keyOf(row._id), row.stock]));
+  const heldStock = new Map(held.map(row => [keyOf(row._id), row.quantity]));
+
+  const before = { stock: product.stock, reserved: product.reserved || 0 };
+  const actions = new Set();
+
+  // Stock set before the ledger existed becomes the opening balance; otherwise the ledger wins
+  const reconcileTarget = async (target, variantId) => {
+    const key = keyOf(variantId);
+
+    if (!ledgerStock.has(key)) {
+      if (await recordOpeningBalance(product, { variant: variantId, reason: 'Opening balance', user })) {
+        actions.add('opening_balance');
+      }
+    } else if (ledgerStock.get(key) < 0) {
+      // A ledger that goes negative is missing entries; never copy it over stock
+      actions.add('inconsistent');
+    } else if (ledgerStock.get(key) !== target.stock) {
+      target.stock = ledgerStock.get(key);
+      actions.add('corrected');
+    }
+
+    const reserved = heldStock.get(key) || 0;
+    if (reserved !== (target.reserved || 0)) {
+      target.reserved = reserved;
+      actions.add('corrected');
+    }
+  };
+
+  if (product.variants.length === 0) {
+    await reconcileTarget(product, null);
+  } else {
+    for (const variant of product.variants) {
+      await reconcileTarget(variant, variant._id);
+    }
+    product.stock = product.variants.reduce((sum, variant) => sum + variant.stock, 0);
+    product.reserved = product.variants.reduce((sum, variant) => sum + (variant.reserved || 0), 0);
+    if (product.stock !== before.stock || product.reserved !== before.reserved) {
+      actions.add('corrected');
+    }
+  }
+
+  if (product.isModified()) {
+    await product.save();
+  }
+
+  return {
+    product: product._id,
+    action: ['corrected', 'inconsistent', 'opening_balance'].find(action => actions.has(action)) || 'none',
+    before,
+    after: { stock: product.stock, reserved: product.reserved }
+  };
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  recordMovement,
+  recordOpeningBalance,
+  recordInitialStock,
+  moveStockToVariant,
+  restockItems,
+  reserveStock,
+  releaseReservation,
+  commitReservation,
+  releaseExpiredReservations,
+  startReservationSweeper,
+  reconcileStock
+};
@@ -0,0 +1,95 @@
+const User = require('../models/User');
+const LoginFailure = require('../models/LoginFailure');
+
+// Progressive account lockout stored on the user record (and on a
+// LoginFailure record for unknown emails). After MAX_LOGIN_ATTEMPTS failures
+// the account locks for LOCKOUT_BASE_MINUTES, doubling with every further
+// failure up to LOCKOUT_MAX_MINUTES. Counters restart after a quiet period.
+//   MAX_LOGIN_ATTEMPTS=5
+//   LOCKOUT_BASE_MINUTES=5
+//   LOCKOUT_MAX_MINUTES=1440
+//   LOGIN_ATTEMPT_WINDOW_HOURS=24
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOCKOUT_BASE_MINUTES) || 5) * 60 * 1000;
+const LOCKOUT_MAX_MS = (parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60) * 60 * 1000;
+const ATTEMPT_WINDOW_MS = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+// Current lockout state of a user or LoginFailure record
+const getLockState = (record) => {
+  const now = Date.now();
+  const lockedFor = record && record.lockUntil ? record.lockUntil.getTime() - now : 0;
+  const stale = !record || !record.lastFailedLoginAt || record.lastFailedLoginAt.getTime() < now - ATTEMPT_WINDOW_MS;
+  const attempts = stale ? 0 : record.loginAttempts || 0;
+
+  return {
+    locked: lockedFor > 0,
+    retryAfter: lockedFor > 0 ? Math.ceil(lockedFor / 1000) : 0,
+    attemptsRemaining: Math.max(MAX_LOGIN_ATTEMPTS - attempts, 0)
+  };
+};
+
+// Update pipeline that counts a failure and locks once the limit is reached,
+// in one atomic write
+const failurePipeline = (now, extra = {}) => [
+  {
+    $set: {
+      loginAttempts: {
+        $cond: [
+          { $lt: [{ $ifNull: ['$lastFailedLoginAt', new Date(0)] }, new Date(now.getTime() - ATTEMPT_WINDOW_MS)] },
+          1,
+          { $add: [{ $ifNull: ['$loginAttempts', 0] }, 1] }
+        ]
+      },
+      lastFailedLoginAt: now,
+      ...extra
+    }
+  },
+  {
+    $set: {
+      lockUntil: {
+        $cond: [
+          { $gte: ['$loginAttempts', MAX_LOGIN_ATTEMPTS] },
+          {
+            $add: [now, {
+              $min: [LOCKOUT_MAX_MS, {
+                $multiply: [LOCKOUT_BASE_MS, { $pow: [2, { $subtract: ['$loginAttempts', MAX_LOGIN_ATTEMPTS] }] }]
+              }]
+            }]
+          },
+          null
+        ]
+      }
+    }
+  }
+];
+
+// Count a failed login for a user, or for an email without an account
+const recordFailedLogin = async (email, user) => {
+  const now = new Date();
+
+  const record = user
+    ? await User.findOneAndUpdate({ _id: user._id }, failurePipeline(now), { new: true })
+    : await LoginFailure.findOneAndUpdate(
+      { email },
+      failurePipeline(now, { expiresAt: new Date(now.getTime() + ATTEMPT_WINDOW_MS) }),
+      { new: true, upsert: true }
+    );
+
+  return getLockState(record);
+};
+
+// Reset the counter after a successful login or an admin unlock
+const clearFailedLogins = async (userId, extra = {}) => {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { loginAttempts: 0, lockUntil: null, lastFailedLoginAt: null, ...extra } }
+  );
+};
+
+module.exports = {
+  MAX_LOGIN_ATTEMPTS,
+  getLockState,
+  recordFailedLogin,
+  clearFailedLogins
+};
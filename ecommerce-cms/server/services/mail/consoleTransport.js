@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Development transport: prints messages instead of sending them
+module.exports = () => ({
+  name: 'console',
+
+  send: async ({ from, to, subject, text }) => {
+    const id = crypto.randomUUID();
+    console.log(`\n[mail ${id}]\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { id };
+  }
+});
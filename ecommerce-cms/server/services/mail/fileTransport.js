@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Test transport: writes each message as JSON to MAIL_DIR (default mail/)
+module.exports = () => {
+  const directory = path.resolve(__dirname, '..', '..', process.env.MAIL_DIR || 'mail');
+
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  return {
+    name: 'file',
+    directory,
+
+    send: async (message) => {
+      const id = crypto.randomUUID();
+      const file = path.join(directory, `${Date.now()}-${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2));
+      return { id };
+    }
+  };
+};
@@ -0,0 +1,62 @@
+// Mailer with pluggable transports.
+//
+// A transport is an object with a `name` and an async
+//   send({ from, to, subject, text, html }) -> { id }
+//
+// MAIL_TRANSPORT selects it: console (default, logs the message), file
+// (writes each message to MAIL_DIR, handy for tests) or smtp.
+// MAIL_FROM sets the sender address.
+
+const templates = require('./templates');
+
+const transports = {};
+const factories = {};
+
+// Add a transport factory; transports are created on first use
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+const getTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  if (!transports[name]) {
+    if (!factories[name]) {
+      throw new Error(`Unknown mail transport ${name}`);
+    }
+
+    const transport = factories[name]();
+    if (typeof transport.send !== 'function') {
+      throw new Error(`Invalid mail transport ${name}: missing send`);
+    }
+
+    transports[name] = transport;
+  }
+
+  return transports[name];
+};
+
+// Render a template and send it
+const sendMail = async (to, template, data) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown email template ${template}`);
+  }
+
+  const { subject, text, html } = templates[template](data);
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'E-commerce CMS <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+registerTransport('console', () => require('./consoleTransport')());
+registerTransport('file', () => require('./fileTransport')());
+registerTransport('smtp', () => require('./smtpTransport')());
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,60 @@
+// Email templates: each takes template data and returns { subject, text, html }
+
+const APP_NAME = process.env.APP_NAME || 'E-commerce CMS';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Shared layout: a greeting, a paragraph, a button and a footer note
+const layout = ({ name, intro, action, url, note }) => ({
+  text: `Hi ${name},\n\n${intro}\n\n${action}: ${url}\n\n${note}\n\n- ${APP_NAME}`,
+  html: `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #333; line-height: 1.5;">
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${escapeHtml(intro)}</p>
+    <p>
+      <a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 20px; background: #2563eb; color: #fff; text-decoration: none; border-radius: 4px;">${escapeHtml(action)}</a>
+    </p>
+    <p style="font-size: 12px; color: #666;">If the button does not work, copy this link into your browser:<br>${escapeHtml(url)}</p>
+    <p style="font-size: 12px; color: #666;">${escapeHtml(note)}</p>
+    <p>- ${escapeHtml(APP_NAME)}</p>
+  </body>
+</html>`
+});
+
+exports.verifyEmail = ({ name, url, expiresInHours }) => ({
+  subject: `Verify your email for ${APP_NAME}`,
+  ...layout({
+    name,
+    intro: `Thanks for signing up! Please confirm your email address to activate your account.`,
+    action: 'Verify email',
+    url,
+    note: `This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`
+  })
+});
+
+exports.passwordReset = ({ name, url, expiresInMinutes }) => ({
+  subject: `Reset your ${APP_NAME} password`,
+  ...layout({
+    name,
+    intro: 'We received a request to reset your password.',
+    action: 'Reset password',
+    url,
+    note: `This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email; your password will not change.`
+  })
+});
+
+exports.passwordChanged = ({ name, url }) => ({
+  subject: `Your ${APP_NAME} password was changed`,
+  ...layout({
+    name,
+    intro: 'Your password was just changed and all your sessions were signed out.',
+    action: 'Sign in',
+    url,
+    note: 'If you did not make this change, reset your password right away and contact support.'
+  })
+});
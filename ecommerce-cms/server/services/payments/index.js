@@ -0,0 +1,41 @@
+// Payment provider registry.
+//
+// A provider is an object with a `name` and these async methods:
+//   createIntent({ amount, currency, orderId }) -> { id, clientSecret, status, amount, currency }
+//   capture(intentId, amount)                   -> { id, status, amount }
+//   refund(intentId, amount)                    -> { id, intentId, status, amount }
+//   verifyWebhook(rawBody, headers)             -> { id, type, intentId, amount, currency } or null if the signature is bad
+//
+// Webhook event types understood by the webhook handler:
+//   payment.succeeded, payment.failed, refund.succeeded
+
+const REQUIRED_METHODS = ['createIntent', 'capture', 'refund', 'verifyWebhook'];
+
+const providers = {};
+
+// Add a provider, making sure it implements the whole interface
+const registerProvider = (provider) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+
+  if (!provider.name || missing.length > 0) {
+    throw new Error(`Invalid payment provider ${provider.name || '(unnamed)'}: missing ${missing.join(', ') || 'name'}`);
+  }
+
+  providers[provider.name] = provider;
+};
+
+// Look up a provider by name, defaulting to PAYMENT_PROVIDER
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  return providers[name] || null;
+};
+
+// The mock provider marks payments as made without any money moving, so it is
+// only available outside production unless explicitly enabled
+if (process.env.NODE_ENV !== 'production' || process.env.PAYMENT_MOCK_ENABLED === 'true') {
+  registerProvider(require('./mockProvider'));
+}
+
+module.exports = {
+  registerProvider,
+  getProvider
+};
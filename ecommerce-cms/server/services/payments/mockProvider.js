@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Sandbox payment provider: no network calls, every operation succeeds
+// unless told otherwise, and webhooks are signed with PAYMENT_WEBHOOK_SECRET.
+// Without that secret every webhook is rejected.
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const getSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Sign a raw webhook payload the same way the verifier expects
+const sign = (payload) => {
+  if (!getSecret()) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+};
+
+const createIntent = async ({ amount, currency, orderId }) => {
+  const id = randomId('mock_pi');
+
+  return {
+    id,
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    status: 'requires_confirmation',
+    amount,
+    currency,
+    metadata: { orderId: orderId.toString() }
+  };
+};
+
+const capture = async (intentId, amount) => {
+  return {
+    id: intentId,
+    status: 'succeeded',
+    amount
+  };
+};
+
+const refund = async (intentId, amount) => {
+  return {
+    id: randomId('mock_re'),
+    intentId,
+    status: 'succeeded',
+    amount
+  };
+};
+
+// Check the HMAC signature and normalize the payload into a payment event
+const verifyWebhook = async (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+
+  if (!rawBody || !signature || !getSecret()) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(rawBody));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  const payload = JSON.parse(rawBody.toString());
+
+  return {
+    id: payload.id,
+    type: payload.type,
+    intentId: payload.data && payload.data.intentId,
+    amount: payload.data && payload.data.amount,
+    currency: payload.data && payload.data.currency
+  };
+};
+
+// Build a signed webhook request body for local testing
+const buildWebhook = (type, intentId, amount, currency) => {
+  const body = JSON.stringify({
+    id: randomId('mock_evt'),
+    type,
+    data: { intentId, amount, currency }
+  });
+
+  return {
+    body,
+    headers: { [SIGNATURE_HEADER]: sign(body) }
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  createIntent,
+  capture,
+  refund,
+  verifyWebhook,
+  buildWebhook
+};
@@ -0,0 +1,124 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { buildRegexQuery } = require('../utils/search');
+
+// Product filters shared by the storefront listing and the catalog export:
+//   category, includeSubcategories, minPrice, maxPrice, attr, sku, search,
+//   searchMode (text | regex), sortBy, sortOrder
+// The storefront only sees active, published products outside hidden
+// categories; staff listings (previews, the export) see everything and can
+// filter on isActive and status (e.g. status=draft,in_review) instead.
+
+// Query parameters that narrow the set of products (the rest, such as
+// includeSubcategories and searchMode, only change how a filter applies)
+const FILTER_KEYS = ['category', 'minPrice', 'maxPrice', 'search', 'attr', 'sku', 'isActive', 'status'];
+const FILTER_MODIFIERS = ['includeSubcategories', 'searchMode'];
+
+// Helper to parse "size:M,color:red" into a variant attribute filter
+const parseAttributeFilter = (value) => {
+  const conditions = {};
+
+  String(value).split(',').forEach(pair => {
+    const [name, ...rest] = pair.split(':');
+    if (name && rest.length > 0) {
+      conditions[`attributes.${name.trim().toLowerCase()}`] = rest.join(':').trim();
+    }
+  });
+
+  return conditions;
+};
+
+// Build the find() conditions for a set of query string filters. Returns the
+// conditions and the search mode used ('text', 'regex' or null).
+const buildProductQuery = async (params, { storefront = true } = {}) => {
+  const {
+    category,
+    includeSubcategories,
+    minPrice,
+    maxPrice,
+    search,
+    searchMode = 'text',
+    attr,
+    sku,
+    isActive,
+    status
+  } = params;
+
+  let query = {};
+
+  if (storefront) {
+    query.isActive = true;
+    query.status = 'published';
+
+    // Products in deactivated categories (or below one) are hidden
+    const hiddenCategories = await Category.getHiddenIds();
+    if (hiddenCategories.length > 0) {
+      query.$nor = [{ category: { $in: hiddenCategories } }];
+    }
+  } else {
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (status) query.status = { $in: String(status).split(',') };
+  }
+
+  if (category) {
+    query.category = includeSubcategories === 'true'
+      ? { $in: await Category.getSubtreeIds(category) }
+      : category;
+  }
+
+  if (minPrice || maxPrice) {
+    query.price = {};
+    if (minPrice) query.price.$gte = Number(minPrice);
+    if (maxPrice) query.price.$lte = Number(maxPrice);
+  }
+
+  // Variant filters, e.g. ?attr=size:M,color:red or ?sku=TSHIRT-M-RED
+  if (attr || sku) {
+    const variantConditions = { isActive: true, ...(attr ? parseAttributeFilter(attr) : {}) };
+    if (sku) variantConditions.sku = String(sku).toUpperCase();
+    query.variants = { $elemMatch: variantConditions };
+  }
+
+  // Full-text search (weighted, stemmed, "quoted phrases"); falls back to an
+  // escaped regex when it finds nothing, e.g. for partial words
+  let mode = null;
+  if (search) {
+    mode = 'regex';
+    if (searchMode !== 'regex') {
+      const textMatches = await Product.countDocuments({ ...query, $text: { $search: search } });
+      if (textMatches > 0) mode = 'text';
+    }
+
+    if (mode === 'text') {
+      query.$text = { $search: search };
+    } else {
+      Object.assign(query, buildRegexQuery(search));
+    }
+  }
+
+  return { query, mode };
+};
+
+// Sort and projection for a product query. Text searches rank by relevance
+// when asked to, or by default when `relevanceByDefault` is set.
+const buildProductSort = ({ sortBy, sortOrder = 'desc' }, mode, { relevanceByDefault = false } = {}) => {
+  if (mode === 'text' && (sortBy === 'relevance' || (!sortBy && relevanceByDefault))) {
+    return {
+      sort: { score: { $meta: 'textScore' } },
+      projection: { score: { $meta: 'textScore' } }
+    };
+  }
+
+  const field = !sortBy || sortBy === 'relevance' ? 'createdAt' : sortBy;
+  return {
+    sort: { [field]: sortOrder === 'desc' ? -1 : 1 },
+    projection: {}
+  };
+};
+
+module.exports = {
+  FILTER_KEYS,
+  FILTER_MODIFIERS,
+  buildProductQuery,
+  buildProductSort
+};
@@ -0,0 +1,58 @@
+const Product = require('../models/Product');
+const { snapshot, recordAudit } = require('./audit');
+
+// Carries out scheduled publishing: products are published once their
+// publishAt time has passed and archived once their unpublishAt time has.
+
+// Move one due product to a new status; failures are logged and the product
+// is tried again on the next run
+const applySchedule = async (product, to, note) => {
+  try {
+    const before = snapshot(product);
+    if (!product.transitionStatus(to)) {
+      return false;
+    }
+
+    await product.save();
+    await recordAudit(null, { action: 'product.status', entityType: 'product', entityId: product._id, before, after: product, note });
+    return true;
+  } catch (error) {
+    console.error(`Scheduled ${to} error (${product._id}):`, error);
+    return false;
+  }
+};
+
+// Publish and unpublish every product that is due
+const runPublishSchedule = async (now = new Date()) => {
+  let published = 0;
+  let unpublished = 0;
+
+  const duePublish = await Product.find({ publishAt: { $ne: null, $lte: now }, status: { $ne: 'published' } });
+  for (const product of duePublish) {
+    if (await applySchedule(product, 'published', 'Scheduled publish')) published++;
+  }
+
+  const dueUnpublish = await Product.find({ unpublishAt: { $ne: null, $lte: now }, status: 'published' });
+  for (const product of dueUnpublish) {
+    if (await applySchedule(product, 'archived', 'Scheduled unpublish')) unpublished++;
+  }
+
+  return { published, unpublished };
+};
+
+// Periodically run the publishing schedule
+const startPublishScheduler = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    runPublishSchedule().catch(error => {
+      console.error('Publish scheduler error:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runPublishSchedule,
+  startPublishScheduler
+};
@@ -0,0 +1,47 @@
+// Storage driver registry for uploaded files.
+//
+// A driver is an object with a `name` and these methods:
+//   put(key, body, { contentType })  -> { key, url, path } (async; path only for local files)
+//   remove(key)                      -> true if a file was deleted (async)
+//   getUrl(key)                      -> stable URL to store with the record
+//   getDownloadUrl(key)              -> URL a client can fetch right now, e.g. signed (async)
+//
+// STORAGE_DRIVER selects the driver: local (default) or s3.
+
+const REQUIRED_METHODS = ['put', 'remove', 'getUrl', 'getDownloadUrl'];
+
+const drivers = {};
+const factories = {};
+
+// Add a driver factory; drivers are created on first use so unused ones
+// never need their configuration
+const registerDriver = (name, factory) => {
+  factories[name] = factory;
+};
+
+// Get a driver by name, defaulting to STORAGE_DRIVER
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (!drivers[name]) {
+    if (!factories[name]) {
+      throw new Error(`Unknown storage driver ${name}`);
+    }
+
+    const driver = factories[name]();
+    const missing = REQUIRED_METHODS.filter(method => typeof driver[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Invalid storage driver ${name}: missing ${missing.join(', ')}`);
+    }
+
+    drivers[name] = driver;
+  }
+
+  return drivers[name];
+};
+
+registerDriver('local', () => require('./localStorage')());
+registerDriver('s3', () => require('./s3Storage')());
+
+module.exports = {
+  registerDriver,
+  getStorage
+};
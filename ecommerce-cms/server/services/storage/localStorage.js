@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files on the local disk, served by express.static at UPLOADS_PUBLIC_PATH.
+// Only suitable for a single instance; use the s3 driver behind a load balancer.
+//   UPLOADS_DIR=uploads            (relative to the server folder)
+//   UPLOADS_PUBLIC_PATH=/uploads
+//   PUBLIC_URL=https://api.example.com   (optional, makes URLs absolute)
+
+const serverRoot = path.join(__dirname, '..', '..');
+
+// Keys are flat file names; anything else could escape the uploads folder
+const safeKey = (key) => {
+  const name = path.basename(String(key));
+  if (!name || name !== key) {
+    throw new Error(`Invalid storage key ${key}`);
+  }
+  return name;
+};
+
+module.exports = () => {
+  const relativeDir = process.env.UPLOADS_DIR || 'uploads';
+  const directory = path.resolve(serverRoot, relativeDir);
+  const publicPath = process.env.UPLOADS_PUBLIC_PATH || '/uploads';
+  const baseUrl = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  const getUrl = (key) => `${baseUrl}${publicPath}/${encodeURIComponent(safeKey(key))}`;
+
+  return {
+    name: 'local',
+    directory,
+    publicPath,
+
+    put: async (key, body) => {
+      await fs.promises.writeFile(path.join(directory, safeKey(key)), body);
+      return { key, url: getUrl(key), path: path.posix.join(relativeDir, key) };
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(path.join(directory, safeKey(key)));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    getUrl,
+
+    getDownloadUrl: async (key) => getUrl(key)
+  };
+};
@@ -0,0 +1,74 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Files in an S3-compatible bucket (AWS S3, MinIO, R2...).
+//   S3_BUCKET=product-images              (required)
+//   S3_REGION=us-east-1
+//   S3_ENDPOINT=http://localhost:9000     (MinIO or other non-AWS endpoint)
+//   S3_FORCE_PATH_STYLE=true              (needed by MinIO)
+//   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (otherwise the default AWS credential chain)
+//   S3_PREFIX=uploads/                    (optional key prefix inside the bucket)
+//   S3_PUBLIC_URL=https://cdn.example.com (public bucket/CDN; without it files are
+//                                          private and served through signed URLs)
+//   S3_SIGNED_URL_TTL=900                 (seconds)
+//
+// Private files get the stable URL /api/files/<key>, which redirects to a
+// freshly signed URL, so stored records never hold an expiring link.
+
+module.exports = () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  const prefix = process.env.S3_PREFIX || '';
+  const publicUrl = (process.env.S3_PUBLIC_URL || '').replace(/\/$/, '');
+  const signedUrlTtl = parseInt(process.env.S3_SIGNED_URL_TTL) || 900;
+  const baseUrl = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+  const objectKey = (key) => prefix + key;
+
+  const getUrl = (key) => publicUrl
+    ? `${publicUrl}/${encodeURI(objectKey(key))}`
+    : `${baseUrl}/api/files/${encodeURIComponent(key)}`;
+
+  return {
+    name: 's3',
+
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentType: contentType
+      }));
+      return { key, url: getUrl(key) };
+    },
+
+    // S3 deletes succeed whether or not the object existed
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    },
+
+    getUrl,
+
+    getDownloadUrl: async (key) => {
+      if (publicUrl) {
+        return getUrl(key);
+      }
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }), {
+        expiresIn: signedUrlTtl
+      });
+    }
+  };
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+// Short-lived access JWTs plus rotating refresh tokens stored server-side.
+// Access tokens carry the session id (`sid`, the refresh token family), so
+// revoking a session also stops its access tokens at the next request.
+//   ACCESS_TOKEN_TTL=15m
+//   REFRESH_TOKEN_TTL_DAYS=30
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const JWT_OPTIONS = {
+  issuer: 'ecommerce-cms',
+  audience: 'ecommerce-users'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Generate a signed access token for one session
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { ...JWT_OPTIONS, expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Verify an access token's signature, expiry, issuer and audience
+const verifyAccessToken = (token) => jwt.verify(token, process.env.JWT_SECRET, JWT_OPTIONS);
+
+// Store a new refresh token; returns the record and the raw token (shown once)
+const createRefreshToken = async (user, { family, ip, userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent
+  });
+
+  return { record, token };
+};
+
+// Start a new session for a user (login)
+const issueTokens = async (user, { ip, userAgent } = {}) => {
+  const { record, token } = await createRefreshToken(user, { ip, userAgent });
+
+  return {
+    token: generateAccessToken(user, record.family),
+    refreshToken: token,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Revoke every active token of a session
+const revokeSession = async (family, reason = 'logout') => {
+  const result = await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Revoke every active session of a user (log out everywhere, suspension),
+// optionally keeping one session (`except`, a session id) signed in
+const revokeAllSessions = async (userId, reason = 'logout_all', { except } = {}) => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null, ...(except ? { family: { $ne: except } } : {}) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// A session is active while it has an unrevoked, unexpired refresh token
+const isSessionActive = async (family) => {
+  if (!family) {
+    return false;
+  }
+  return !!(await RefreshToken.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the token
+// is unknown, expired or already used; reuse of a rotated token revokes the
+// whole session since it may have been stolen.
+const rotateRefreshToken = async (token, { ip, userAgent } = {}) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!existing || existing.expiresAt <= new Date()) {
+    return null;
+  }
+
+  // Claim the token; only one concurrent refresh may win
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    if (existing.revokedReason === 'rotated' || existing.revokedAt === null) {
+      await revokeSession(existing.family, 'reuse_detected');
+    }
+    return null;
+  }
+
+  const user = await User.findById(claimed.user);
+  if (!user || user.accountStatus !== 'active') {
+    await revokeSession(claimed.family, 'suspended');
+    return null;
+  }
+
+  const { record, token: refreshToken } = await createRefreshToken(user, { family: claimed.family, ip, userAgent });
+  claimed.replacedBy = record._id;
+  await claimed.save();
+
+  return {
+    user,
+    token: generateAccessToken(user, record.family),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  generateAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
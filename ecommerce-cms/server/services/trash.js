@@ -0,0 +1,134 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const StockReservation = require('../models/StockReservation');
+const { removeImageFiles } = require('./images');
+const { recordAudit } = require('./audit');
+const { httpError } = require('../utils/httpError');
+
+// Deleted products and categories stay in the trash, where they can be
+// restored, until they are purged by hand or once the retention period ends.
+//   TRASH_RETENTION_DAYS=30
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Orders that can still release, commit or put back stock
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped'];
+const OPEN_RETURN_STATUSES = ['requested', 'approved'];
+
+// Refuse to trash or purge a product while stock movements may still come
+// for it: held reservations, orders not yet delivered or cancelled, and
+// returns not yet refunded or rejected
+const checkProductInUse = async (product) => {
+  const [reservations, orders, returns] = await Promise.all([
+    StockReservation.countDocuments({ product: product._id, status: 'active' }),
+    Order.countDocuments({ 'items.product': product._id, orderStatus: { $in: OPEN_ORDER_STATUSES } }),
+    ReturnRequest.countDocuments({ 'items.product': product._id, status: { $in: OPEN_RETURN_STATUSES } })
+  ]);
+
+  if (reservations > 0 || product.reserved > 0) {
+    throw httpError(409, 'Product has reserved stock', {
+      product: 'Wait until its checkout reservations are released or committed'
+    });
+  }
+  if (orders > 0) {
+    throw httpError(409, 'Product has open orders', {
+      product: `${orders} order(s) with this product are not delivered or cancelled yet`
+    });
+  }
+  if (returns > 0) {
+    throw httpError(409, 'Product has open returns', {
+      product: `${returns} return(s) with this product are not refunded or rejected yet`
+    });
+  }
+};
+
+// Permanently delete a trashed product and its image files. Orders placed
+// before item names were stored get the name first, so they stay readable.
+const purgeProduct = async (product) => {
+  await checkProductInUse(product);
+
+  await Order.updateMany(
+    { 'items.product': product._id },
+    { $set: { 'items.$[item].name': product.name } },
+    { arrayFilters: [{ 'item.product': product._id, 'item.name': { $exists: false } }] }
+  );
+  await Product.deleteOne({ _id: product._id, deletedAt: { $ne: null } });
+  await Promise.all(product.images.map(removeImageFiles));
+};
+
+// Permanently delete a trashed category. Refused while any category or
+// product, trashed or not, still refers to it, so nothing is left orphaned.
+const purgeCategory = async (category) => {
+  const productCount = await Product.countDocuments({ category: category._id }).setOptions({ withDeleted: true });
+  if (productCount > 0) {
+    throw httpError(409, 'Category has products', {
+      category: `Reassign or purge its ${productCount} product(s) first`
+    });
+  }
+
+  const childCount = await Category.countDocuments({ parent: category._id }).setOptions({ withDeleted: true });
+  if (childCount > 0) {
+    throw httpError(409, 'Category has subcategories', {
+      category: `Purge or restore its ${childCount} subcategories first`
+    });
+  }
+
+  await Category.deleteOne({ _id: category._id, deletedAt: { $ne: null } });
+};
+
+// Purge everything that has been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+  let purged = 0;
+
+  for (const product of await Product.find(expired)) {
+    try {
+      await purgeProduct(product);
+      await recordAudit(null, { action: 'product.purge', entityType: 'product', entityId: product._id, before: product });
+      purged++;
+    } catch (error) {
+      // Still has reservations, open orders or returns; tried again next run
+      if (!error.status) throw error;
+    }
+  }
+
+  // Deepest categories first so their parents can go in the same run
+  const categories = await Category.find(expired);
+  categories.sort((a, b) => b.ancestors.length - a.ancestors.length);
+  for (const category of categories) {
+    try {
+      await purgeCategory(category);
+      await recordAudit(null, { action: 'category.purge', entityType: 'category', entityId: category._id, before: category });
+      purged++;
+    } catch (error) {
+      // Still has subcategories or products that are not due yet
+      if (!error.status) throw error;
+    }
+  }
+
+  return purged;
+};
+
+// Periodically purge expired trash
+const startTrashSweeper = (intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    purgeExpiredTrash().catch(error => {
+      console.error('Trash sweeper error:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  checkProductInUse,
+  purgeProduct,
+  purgeCategory,
+  purgeExpiredTrash,
+  startTrashSweeper
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyCode } = require('../utils/totp');
+
+// TOTP two-factor authentication. Secrets are encrypted at rest, recovery
+// codes are stored hashed and work once, and a TOTP code is rejected if it
+// (or an earlier one) was already used. Staff accounts must enrol before
+// they can use any admin feature.
+//   TWO_FACTOR_ISSUER=E-commerce CMS        (name shown in authenticator apps)
+//   TWO_FACTOR_ENCRYPTION_KEY=...           (defaults to JWT_SECRET)
+//   TWO_FACTOR_CHALLENGE_TTL=5m
+//   STAFF_2FA_REQUIRED=true
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'E-commerce CMS';
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const STAFF_2FA_REQUIRED = process.env.STAFF_2FA_REQUIRED !== 'false';
+const RECOVERY_CODE_COUNT = 10;
+
+// Challenge tokens use their own audience so they never pass as access tokens
+const CHALLENGE_OPTIONS = {
+  issuer: 'ecommerce-cms',
+  audience: 'ecommerce-2fa'
+};
+
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(String(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET))
+  .digest();
+
+// AES-256-GCM, stored as iv.tag.ciphertext
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, ciphertext] = String(value).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// New set of recovery codes; returns the codes (shown once) and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Whether a user must have 2FA turned on before using staff features
+const isTwoFactorRequired = (user) => STAFF_2FA_REQUIRED && user.permissions.length > 0;
+
+// Short-lived token proving the password step of a login succeeded
+const createChallengeToken = (user) => jwt.sign(
+  { id: user._id, purpose: '2fa' },
+  process.env.JWT_SECRET,
+  { ...CHALLENGE_OPTIONS, expiresIn: CHALLENGE_TTL }
+);
+
+// User id from a challenge token, or null if it is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET, CHALLENGE_OPTIONS);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check a TOTP code against a secret and record its time step, so the same
+// code cannot be used twice. Pass `pending: true` to check an enrolment.
+const consumeTotpCode = async (user, code, { pending = false } = {}) => {
+  const stored = pending ? user.twoFactor.pendingSecret : user.twoFactor.secret;
+  if (!stored) {
+    return false;
+  }
+
+  const step = verifyCode(decryptSecret(stored), code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Use up a recovery code; false if it is unknown or already used
+const consumeRecoveryCode = async (user, code) => {
+  if (!normalizeRecoveryCode(code)) {
+    return false;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Verify either a TOTP code or a recovery code for an enrolled user
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return consumeRecoveryCode(user, recoveryCode);
+  }
+  return consumeTotpCode(user, code);
+};
+
+module.exports = {
+  ISSUER,
+  CHALLENGE_TTL,
+  encryptSecret,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeTotpCode,
+  verifySecondFactor
+};
@@ -0,0 +1,27 @@
+// Build an error that carries an HTTP status, for aborting work (e.g. inside
+// a transaction) and reporting it to the client from the controller's catch
+const httpError = (status, msg, errors) => {
+  const error = new Error(msg);
+  error.status = status;
+  error.errors = errors;
+  return error;
+};
+
+// Send an error created by httpError; returns false for anything else
+const sendHttpError = (res, error) => {
+  if (!error || !error.status) {
+    return false;
+  }
+
+  res.status(error.status).json({
+    success: false,
+    msg: error.message,
+    errors: error.errors
+  });
+  return true;
+};
+
+module.exports = {
+  httpError,
+  sendHttpError
+};
@@ -0,0 +1,122 @@
+const { httpError } = require('./httpError');
+
+// List endpoints support two modes:
+//   page mode (default):  ?page=2&limit=10 -> pagination { current, pages, total }
+//   cursor mode:          ?paginate=cursor&limit=10, then ?after=<next> or ?before=<prev>
+//                         -> pagination { limit, next, prev, hasNext, hasPrev, total? }
+// Cursors are opaque and keyed on the active sort field plus _id, so rows
+// are never skipped or repeated when data changes between requests.
+
+// Largest page a client can ask for, so no listing loads a whole collection
+const MAX_LIMIT = 100;
+
+// Read paging options from the query string
+const getPagination = (query, { defaultLimit = 10 } = {}) => {
+  const { after, before, paginate, includeTotal } = query;
+
+  return {
+    mode: after || before || paginate === 'cursor' ? 'cursor' : 'page',
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT),
+    after,
+    before,
+    includeTotal: includeTotal === 'true'
+  };
+};
+
+const encodeCursor = (doc, field, direction) => Buffer
+  .from(JSON.stringify({ f: field, d: direction, v: doc.get(field), id: doc._id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor, field, direction) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw httpError(400, 'Invalid cursor');
+  }
+
+  if (!decoded || !decoded.id) {
+    throw httpError(400, 'Invalid cursor');
+  }
+
+  if (decoded.f !== field || decoded.d !== direction) {
+    throw httpError(400, 'Cursor does not match the current sort order');
+  }
+
+  return decoded;
+};
+
+// Run a find query one page at a time. `sort` is a single { field: 1 | -1 }
+// (or a $meta text score in page mode); _id breaks ties.
+const paginate = async (query, pagination, sort) => {
+  const [field, direction] = Object.entries(sort)[0];
+  const filter = query.getFilter();
+
+  if (pagination.mode === 'page') {
+    const { page, limit } = pagination;
+    const data = await query
+      .sort(typeof direction === 'number' ? { [field]: direction, _id: direction } : sort)
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await query.model.countDocuments(filter);
+
+    return {
+      data,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+
+  if (typeof direction !== 'number') {
+    throw httpError(400, 'Cursor pagination is not available for relevance sorting');
+  }
+
+  const { limit, after, before, includeTotal } = pagination;
+  const backwards = !after && !!before;
+  const cursor = after || before ? decodeCursor(after || before, field, direction) : null;
+  const order = backwards ? -direction : direction;
+
+  // Count before the cursor condition is added to the filter
+  const total = includeTotal ? await query.model.countDocuments(filter) : undefined;
+
+  if (cursor) {
+    const op = order === 1 ? '$gt' : '$lt';
+    const keyset = field === '_id'
+      ? { _id: { [op]: cursor.id } }
+      : { $or: [{ [field]: { [op]: cursor.v } }, { [field]: cursor.v, _id: { [op]: cursor.id } }] };
+
+    // New $and array so the caller's filter object is left untouched
+    query.setQuery({ ...filter, $and: (filter.$and || []).concat(keyset) });
+  }
+
+  let data = await query.sort({ [field]: order, _id: order }).limit(limit + 1);
+
+  const hasMore = data.length > limit;
+  data = data.slice(0, limit);
+  if (backwards) data.reverse();
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : !!cursor;
+
+  return {
+    data,
+    pagination: {
+      limit,
+      next: hasNext && data.length > 0 ? encodeCursor(data[data.length - 1], field, direction) : null,
+      prev: hasPrev && data.length > 0 ? encodeCursor(data[0], field, direction) : null,
+      hasNext,
+      hasPrev,
+      total
+    }
+  };
+};
+
+module.exports = {
+  getPagination,
+  paginate
+};
@@ -0,0 +1,78 @@
+// Roles and the permissions they grant. Permissions are `resource:action`
+// strings checked by requirePermission(); a user may hold several roles.
+
+const PERMISSIONS = [
+  'dashboard:read',
+  'user:read',
+  'user:manage',
+  'product:create',
+  'product:update',
+  'product:publish',
+  'product:delete',
+  'category:create',
+  'category:update',
+  'category:delete',
+  'inventory:read',
+  'inventory:write',
+  'order:read',
+  'order:update',
+  'return:read',
+  'return:manage',
+  'return:refund',
+  'audit:read'
+];
+
+const ROLES = {
+  owner: {
+    description: 'Full access, including role assignments',
+    permissions: PERMISSIONS
+  },
+  catalog_editor: {
+    description: 'Manages products, categories and stock',
+    permissions: [
+      'dashboard:read',
+      'product:create', 'product:update', 'product:publish', 'product:delete',
+      'category:create', 'category:update', 'category:delete',
+      'inventory:read', 'inventory:write'
+    ]
+  },
+  catalog_author: {
+    description: 'Drafts products and submits them for review',
+    permissions: ['dashboard:read', 'product:create', 'product:update', 'inventory:read']
+  },
+  order_manager: {
+    description: 'Fulfils orders and handles returns and refunds',
+    permissions: [
+      'dashboard:read',
+      'order:read', 'order:update',
+      'return:read', 'return:manage', 'return:refund',
+      'inventory:read'
+    ]
+  },
+  support: {
+    description: 'Looks up customers and orders and reviews returns',
+    permissions: ['user:read', 'order:read', 'return:read', 'return:manage']
+  },
+  customer: {
+    description: 'Shops in the storefront',
+    permissions: []
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Every permission granted by a set of roles
+const permissionsFor = (roles = []) => {
+  const permissions = new Set();
+  roles.forEach(role => {
+    (ROLES[role] ? ROLES[role].permissions : []).forEach(permission => permissions.add(permission));
+  });
+  return [...permissions];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  permissionsFor
+};
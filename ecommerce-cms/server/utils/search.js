@@ -0,0 +1,117 @@
+// Helpers for product search: query parsing, the regex fallback and
+// highlighted snippets for the listing response.
+
+const SNIPPET_LENGTH = 160;
+const MIN_STEM_LENGTH = 4;
+
+// Escape user input so it matches literally inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Split a search string into quoted phrases and single words, ignoring
+// negated terms ("-word") which only narrow the results
+const parseSearchTerms = (search) => {
+  const phrases = [];
+  const words = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(search))) !== null) {
+    if (match[2] !== undefined) {
+      if (!match[1]) phrases.push(match[2].trim());
+    } else if (!match[3]) {
+      words.push(match[4]);
+    }
+  }
+
+  return { phrases: phrases.filter(Boolean), words };
+};
+
+// Regex condition matching every word/phrase in name or description
+const buildRegexQuery = (search) => {
+  const { phrases, words } = parseSearchTerms(search);
+  const terms = phrases.concat(words);
+
+  if (terms.length === 0) {
+    return {};
+  }
+
+  return {
+    $and: terms.map(term => {
+      const regex = new RegExp(escapeRegex(term), 'i');
+      return { $or: [{ name: regex }, { description: regex }] };
+    })
+  };
+};
+
+// Pattern that matches phrases exactly and words by their stem, so
+// "running" also highlights "run" and "runs"
+const buildHighlightPattern = (search) => {
+  const { phrases, words } = parseSearchTerms(search);
+  const parts = phrases.map(escapeRegex).concat(words.map(word => {
+    const stem = word.length > MIN_STEM_LENGTH ? word.slice(0, Math.max(MIN_STEM_LENGTH, word.length - 3)) : word;
+    return `${escapeRegex(stem)}\\w*`;
+  }));
+
+  return parts.length > 0 ? new RegExp(`(${parts.join('|')})`, 'gi') : null;
+};
+
+// Wrap matches in <mark>, trimming long text to a window around the first match
+const highlightText = (text, pattern) => {
+  if (!text || !pattern) {
+    return null;
+  }
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 3));
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  const window = text.slice(start, end);
+  let result = '';
+  let last = 0;
+
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(window)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    result += escapeHtml(window.slice(last, match.index)) + '<mark>' + escapeHtml(match[0]) + '</mark>';
+    last = match.index + match[0].length;
+  }
+  result += escapeHtml(window.slice(last));
+
+  return (start > 0 ? '…' : '') + result + (end < text.length ? '…' : '');
+};
+
+// Highlighted snippets for the searchable fields of a product
+const buildHighlights = (product, search) => {
+  const pattern = buildHighlightPattern(search);
+
+  return {
+    name: highlightText(product.name, pattern),
+    description: highlightText(product.description, pattern)
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearchTerms,
+  buildRegexQuery,
+  buildHighlights
+};
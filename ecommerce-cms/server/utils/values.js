@@ -0,0 +1,12 @@
+// Small value helpers shared by controllers and services
+
+// 24 hex characters; ObjectId.isValid() also accepts any 12 character string
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value));
+
+// Round a currency amount to cents
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  isObjectId,
+  roundPrice
+};